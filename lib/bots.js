@@ -0,0 +1,267 @@
+/**
+ * ==========================================================
+ * Bot players (server-side seats)
+ * ==========================================================
+ *
+ * A bot is a normal player seat driven by the server. It gets a
+ * socket-like object with the same event handlers as a browser
+ * client, so every rule (validation, logging, early advance,
+ * win checks) applies to bots exactly as to people.
+ *
+ * Strategies only decide; server.js acts on the decision:
+ * - vote(ctx)           day vote target id (or null)
+ * - action(ctx, action) role action target id (or null to skip)
+ * - nominate(ctx)       trial flow: nominate / second target id (or null)
+ * - verdict(ctx)        "GUILTY" | "INNOCENT"
+ * - chat(ctx)           public chat line at day start (or null)
+ *
+ * ctx: { room, me, others (alive, not me), voteTargets, random }
+ *
+ * Strategies:
+ * - random:    random legal targets, canned chat
+ * - heuristic: mafia never target each other, the Detective follows up
+ *              on results and claims MAFIA finds in chat, town votes on
+ *              claims (else joins the leading vote)
+ * - scripted:  follows player.bot.script, steps of
+ *              { round?, phase, target (name), verdict?, say? }
+ */
+
+const { isMafia } = require("./roles");
+
+const BOT_STRATEGIES = ["random", "heuristic", "scripted"];
+const MAX_SCRIPT_STEPS = 200;
+
+const CANNED_LINES = [
+  "Good morning, everyone.",
+  "Who do we think it is?",
+  "I'm just a regular townie.",
+  "Someone is being very quiet.",
+  "Let's not rush this vote.",
+];
+
+// Detective claim, also how other bots read claims from public chat
+const claimLine = (name) => `I'm the Detective. ${name} is MAFIA.`;
+const CLAIM_PATTERN = /^I'm the Detective\. (.+) is MAFIA\.$/;
+
+function pick(ctx, list) {
+  return list.length ? list[Math.floor(ctx.random() * list.length)] : null;
+}
+
+/**
+ * Socket stand-in for a bot seat
+ * call(event, payload) runs the registered handler and returns its
+ * callback result; server -> client emits are dropped (bots read state)
+ */
+function createBotSocket(id) {
+  const handlers = {};
+  const anyHandlers = [];
+
+  return {
+    id,
+    bot: true,
+    data: {},
+    on: (event, fn) => {
+      handlers[event] = fn;
+    },
+    onAny: (fn) => anyHandlers.push(fn),
+    emit: () => {},
+    join: () => {},
+    leave: () => {},
+
+    call(event, payload) {
+      let result = null;
+      anyHandlers.forEach((fn) => fn(event, payload));
+      handlers[event]?.(payload, (res) => {
+        result = res;
+      });
+      return result;
+    },
+  };
+}
+
+/**
+ * Targets a role action accepts (self / selfOnce / noRepeat rules)
+ */
+function actionTargets(ctx, action) {
+  const { me } = ctx;
+  const self = action.self && !(action.selfOnce && me.selfTargets >= 1);
+
+  let list = self ? [...ctx.others, me] : ctx.others;
+  if (action.noRepeat) list = list.filter((p) => p.id !== me.lastTargetId);
+  return list;
+}
+
+// ================================
+// Heuristic helpers
+// ================================
+
+// Alive players named in Detective claims, latest claim first
+function claimedMafia(ctx) {
+  const names = ctx.room.log
+    .filter((e) => e.type === "CHAT" && e.channel === "PUBLIC")
+    .map((e) => CLAIM_PATTERN.exec(e.message)?.[1])
+    .filter(Boolean)
+    .reverse();
+
+  return names
+    .map((name) => ctx.others.find((p) => p.name === name))
+    .filter(Boolean);
+}
+
+// Own Detective results: alive players found MAFIA / cleared
+function findings(ctx) {
+  const found = { mafia: [], cleared: [] };
+
+  (ctx.me.investigations || []).forEach((entry) => {
+    const target = ctx.others.find((p) => p.name === entry.targetName);
+    if (!target || entry.result === "ROLEBLOCKED") return;
+
+    const mafia = entry.result === "MAFIA" || isMafia({ role: entry.result });
+    found[mafia ? "mafia" : "cleared"].push(target);
+  });
+
+  return found;
+}
+
+// Players this bot would like to see eliminated
+function suspects(ctx) {
+  if (isMafia(ctx.me)) return ctx.others.filter((p) => !isMafia(p));
+
+  const { mafia, cleared } = findings(ctx);
+  if (mafia.length) return mafia;
+
+  const claimed = claimedMafia(ctx);
+  if (claimed.length) return claimed;
+
+  return ctx.others.filter((p) => !cleared.includes(p));
+}
+
+// Target with the most day votes right now (among allowed ones)
+function leadingVote(ctx, allowed) {
+  const counts = {};
+  Object.values(ctx.room.dayVotes).forEach((id) => {
+    counts[id] = (counts[id] || 0) + 1;
+  });
+
+  return allowed
+    .filter((p) => counts[p.id])
+    .sort((a, b) => counts[b.id] - counts[a.id])[0];
+}
+
+// ================================
+// Strategies
+// ================================
+const random = {
+  vote: (ctx) => pick(ctx, ctx.voteTargets)?.id,
+  action: (ctx, action) => pick(ctx, actionTargets(ctx, action))?.id,
+  nominate: (ctx) => pick(ctx, ctx.others)?.id,
+  verdict: (ctx) => pick(ctx, ["GUILTY", "INNOCENT"]),
+  chat: (ctx) => pick(ctx, CANNED_LINES),
+};
+
+const heuristic = {
+  vote(ctx) {
+    const wanted = suspects(ctx).filter((p) => ctx.voteTargets.includes(p));
+    if (!wanted.length) return pick(ctx, ctx.voteTargets)?.id;
+
+    // Town follows a claim; otherwise everyone joins the leading vote
+    const claimed = isMafia(ctx.me) ? [] : claimedMafia(ctx).filter((p) => wanted.includes(p));
+    return (claimed[0] || leadingVote(ctx, wanted) || pick(ctx, wanted)).id;
+  },
+
+  action(ctx, action) {
+    const targets = actionTargets(ctx, action);
+
+    if (action.type === "INVESTIGATE") {
+      const checked = (ctx.me.investigations || []).map((e) => e.targetName);
+      return pick(ctx, targets.filter((p) => !checked.includes(p.name)))?.id;
+    }
+
+    // Protect whoever claimed Detective (they are the next target)
+    if (action.type === "PROTECT" || action.type === "GUARD") {
+      const claimer = ctx.room.log
+        .filter((e) => e.type === "CHAT" && CLAIM_PATTERN.test(e.message))
+        .map((e) => targets.find((p) => p.name === e.sender))
+        .find(Boolean);
+      return (claimer || pick(ctx, targets))?.id;
+    }
+
+    // Killers: mafia spare their team; the Vigilante only shoots suspects
+    if (ctx.me.role === "VIGILANTE") {
+      const sure = [...findings(ctx).mafia, ...claimedMafia(ctx)];
+      return sure.find((p) => targets.includes(p))?.id || null;
+    }
+
+    const wanted = suspects(ctx).filter((p) => targets.includes(p));
+    return pick(ctx, wanted.length ? wanted : targets)?.id;
+  },
+
+  nominate(ctx) {
+    const open = ctx.room.nominations
+      .filter((n) => !n.seconderId && n.nominatorId !== ctx.me.id)
+      .map((n) => ctx.others.find((p) => p.id === n.targetId));
+
+    const wanted = suspects(ctx);
+    return (wanted.find((p) => open.includes(p)) || pick(ctx, wanted))?.id;
+  },
+
+  verdict(ctx) {
+    const defendant = ctx.room.players.find((p) => p.id === ctx.room.trial?.defendantId);
+    if (!defendant) return "INNOCENT";
+
+    if (isMafia(ctx.me)) return isMafia(defendant) ? "INNOCENT" : "GUILTY";
+    const { mafia, cleared } = findings(ctx);
+    if (cleared.includes(defendant)) return "INNOCENT";
+    if (mafia.includes(defendant) || claimedMafia(ctx).includes(defendant)) return "GUILTY";
+    return random.verdict(ctx);
+  },
+
+  chat(ctx) {
+    const found = findings(ctx).mafia[0];
+    return found ? claimLine(found.name) : pick(ctx, CANNED_LINES);
+  },
+};
+
+// Step for the current round + phase (round omitted => any round)
+function scriptStep(ctx) {
+  const { room } = ctx;
+  return (ctx.me.bot.script || []).find(
+    (s) => s.phase === room.phase && (s.round == null || s.round === room.round)
+  );
+}
+
+function scriptTarget(ctx) {
+  const name = scriptStep(ctx)?.target;
+  return ctx.room.players.find((p) => p.alive && p.name === name)?.id || null;
+}
+
+/**
+ * Clean a host-provided script (unknown fields dropped)
+ */
+function normalizeScript(script) {
+  if (!Array.isArray(script)) return [];
+
+  return script.slice(0, MAX_SCRIPT_STEPS).map((s) => ({
+    round: Number.isInteger(s?.round) ? s.round : null,
+    phase: String(s?.phase || ""),
+    target: s?.target ? String(s.target) : null,
+    verdict: s?.verdict === "GUILTY" ? "GUILTY" : "INNOCENT",
+    say: s?.say ? String(s.say) : null,
+  }));
+}
+
+const scripted = {
+  vote: scriptTarget,
+  action: scriptTarget,
+  nominate: scriptTarget,
+  verdict: (ctx) => scriptStep(ctx)?.verdict || "INNOCENT",
+  chat: (ctx) => scriptStep(ctx)?.say || null,
+};
+
+const STRATEGIES = { random, heuristic, scripted };
+
+function botStrategy(name) {
+  return STRATEGIES[name] || random;
+}
+
+module.exports = { BOT_STRATEGIES, botStrategy, createBotSocket, normalizeScript };
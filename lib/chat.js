@@ -0,0 +1,34 @@
+/**
+ * ==========================================================
+ * Chat text helpers
+ * ==========================================================
+ *
+ * - maskWords: room word filter, whole words, case-insensitive,
+ *   each match becomes asterisks of the same length
+ * - findMentions: which room names a message @mentions
+ *   (names may contain spaces: "@Ana María")
+ */
+
+const WORD_MAX = 30;
+
+// A word (or name) ends where letters / digits do
+const WORD_CHAR = "[\\p{L}\\p{M}\\p{N}]";
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function maskWords(text, words = []) {
+  return words.reduce((out, word) => {
+    const pattern = new RegExp(`(?<!${WORD_CHAR})${escapeRegExp(word)}(?!${WORD_CHAR})`, "giu");
+    return out.replace(pattern, (match) => "*".repeat([...match].length));
+  }, text);
+}
+
+function findMentions(text, names) {
+  return names.filter((name) =>
+    new RegExp(`@${escapeRegExp(name)}(?!${WORD_CHAR})`, "iu").test(text)
+  );
+}
+
+module.exports = { WORD_MAX, maskWords, findMentions };
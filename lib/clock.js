@@ -0,0 +1,83 @@
+/**
+ * ==========================================================
+ * Clocks
+ * ==========================================================
+ *
+ * Where the game server gets time and timers from. Every clock has:
+ * - now()                      => ms since epoch (game time)
+ * - setTimeout(fn, ms)         => handle (ms of game time)
+ * - clearTimeout(handle)
+ * - setInterval(fn, ms)        => handle
+ * - clearInterval(handle)
+ * - speed                      game ms per real ms (clients scale timers)
+ *
+ * Clocks:
+ * - systemClock:        wall clock
+ * - scaledClock(speed): game time runs speed times faster (dev mode,
+ *                       CLOCK_SPEED=10)
+ * - manualClock(start): only moves on tick(ms), due timers fire in
+ *                       order (tests, replaying a logged game)
+ */
+
+const systemClock = {
+  speed: 1,
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (handle) => clearInterval(handle),
+};
+
+function scaledClock(speed, base = systemClock) {
+  const start = base.now();
+
+  return {
+    speed,
+    now: () => start + (base.now() - start) * speed,
+    setTimeout: (fn, ms) => base.setTimeout(fn, ms / speed),
+    clearTimeout: (handle) => base.clearTimeout(handle),
+    setInterval: (fn, ms) => base.setInterval(fn, ms / speed),
+    clearInterval: (handle) => base.clearInterval(handle),
+  };
+}
+
+function manualClock(start = Date.now()) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  const add = (fn, ms, every) => {
+    const id = nextId++;
+    timers.set(id, { fn, at: now + Math.max(0, ms || 0), every });
+    return id;
+  };
+
+  return {
+    speed: 1,
+    now: () => now,
+    setTimeout: (fn, ms) => add(fn, ms, null),
+    clearTimeout: (id) => timers.delete(id),
+    setInterval: (fn, ms) => add(fn, ms, ms),
+    clearInterval: (id) => timers.delete(id),
+
+    // Move time forward, firing every timer that comes due on the way
+    tick(ms) {
+      const end = now + ms;
+
+      for (;;) {
+        const due = [...timers].filter(([, t]) => t.at <= end).sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+
+        const [id, timer] = due;
+        now = timer.at;
+        if (timer.every) timer.at += timer.every;
+        else timers.delete(id);
+        timer.fn();
+      }
+
+      now = end;
+    },
+  };
+}
+
+module.exports = { systemClock, scaledClock, manualClock };
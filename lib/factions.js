@@ -0,0 +1,93 @@
+/**
+ * ==========================================================
+ * Factions and win conditions
+ * ==========================================================
+ *
+ * Every role belongs to a faction (roles.js: faction, else team).
+ * A faction declares:
+ * - label:    display name
+ * - endsGame: reaching its goal ends the game (else it can only
+ *             win alongside whoever ends it, e.g. Jester)
+ * - hostile:  the Town must eliminate it
+ * - wins(ctx):       goal reached ({ alive, counts, hostile })
+ * - isWinner(player): which members share the win (default all)
+ *
+ * Several factions can win together (Town + Jester).
+ * No one left who could end the game (everyone dead, or only
+ * neutrals like the Jester) => game over with no ending faction (draw).
+ */
+
+const { factionOf } = require("./roles");
+
+const FACTIONS = {
+  TOWN: {
+    label: "Town",
+    endsGame: true,
+    // Some Town member survives and no hostile faction does
+    wins: ({ counts, hostile }) => counts.TOWN > 0 && hostile === 0,
+  },
+  MAFIA: {
+    label: "Mafia",
+    endsGame: true,
+    hostile: true,
+    // Mafia reach parity and no other killer is left
+    wins: ({ alive, counts }) =>
+      counts.MAFIA > 0 && counts.MAFIA * 2 >= alive && !counts.SERIAL_KILLER,
+  },
+  SERIAL_KILLER: {
+    label: "Serial Killer",
+    endsGame: true,
+    hostile: true,
+    // Last one standing (or alone with one victim left)
+    wins: ({ alive, counts }) => counts.SERIAL_KILLER > 0 && alive <= 2 && !counts.MAFIA,
+  },
+  JESTER: {
+    label: "Jester",
+    endsGame: false,
+    lynchWins: true,
+    wins: ({ lynched }) => lynched.some((p) => factionOf(p.role) === "JESTER"),
+    isWinner: (p) => p.lynched,
+  },
+};
+
+function factionDef(faction) {
+  return FACTIONS[faction] || FACTIONS.TOWN;
+}
+
+/**
+ * Evaluate every faction's goal
+ * Returns null while the game goes on, else { factions, winners }
+ */
+function evaluateWin(players) {
+  const alive = players.filter((p) => p.alive);
+
+  const counts = {};
+  alive.forEach((p) => {
+    const f = factionOf(p.role);
+    counts[f] = (counts[f] || 0) + 1;
+  });
+
+  const ctx = {
+    alive: alive.length,
+    counts,
+    hostile: alive.filter((p) => factionDef(factionOf(p.role)).hostile).length,
+    lynched: players.filter((p) => p.lynched),
+  };
+
+  const inGame = new Set(players.map((p) => factionOf(p.role)));
+  const reached = Object.keys(FACTIONS).filter((f) => inGame.has(f) && FACTIONS[f].wins(ctx));
+
+  const ending = reached.filter((f) => FACTIONS[f].endsGame);
+  const contenders = alive.filter((p) => factionDef(factionOf(p.role)).endsGame);
+  if (!ending.length && contenders.length) return null;
+
+  const winners = players.filter((p) => {
+    const f = factionOf(p.role);
+    if (!reached.includes(f)) return false;
+    return FACTIONS[f].isWinner ? FACTIONS[f].isWinner(p) : true;
+  });
+
+  return { factions: reached, winners };
+}
+
+module.exports = { FACTIONS, factionDef, evaluateWin };
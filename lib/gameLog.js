@@ -0,0 +1,69 @@
+/**
+ * ==========================================================
+ * Game event log
+ * ==========================================================
+ *
+ * Every entry:
+ * { time (ISO, game clock), round, phase, type, ...details, text }
+ *
+ * text is a readable one-liner, used by the plain-text export
+ * and the client's post-game timeline.
+ */
+
+const DESCRIBE = {
+  GAME_START: (e) =>
+    `Game started (seed ${e.seed}). Roles: ${e.roles.map((r) => `${r.name}=${r.role}`).join(", ")}`,
+  PHASE: (e) => `Phase started: ${e.phase}`,
+  DAY_VOTE: (e) => `${e.voter} voted for ${e.target}`,
+  UNVOTE: (e) => `${e.voter} took back their vote`,
+  NOMINATE: (e) => `${e.nominator} nominated ${e.target}`,
+  SECOND: (e) => `${e.seconder} seconded the nomination of ${e.target}`,
+  VERDICT: (e) => `${e.voter} voted ${e.verdict}`,
+  ROLE_ACTION: (e) => `${e.role} ${e.actor}: ${e.label} ${e.target}${e.result ? ` (${e.result})` : ""}`,
+  RESULT: (e) => e.message,
+  CHAT: (e) =>
+    `[${e.channel}] ${e.sender}${e.target ? ` to ${e.target}` : ""}: ` +
+    (e.redacted ? "(deleted by host)" : e.message),
+  HOST: (e) => `Host: ${e.action}`,
+  REPLACED: (e) => `${e.from} was replaced by ${e.to}`,
+  GAME_OVER: (e) =>
+    e.factions.length
+      ? `Game over. Winners: ${e.factions.join(" + ")} (${e.winners.join(", ")})`
+      : "Game over. No winner",
+};
+
+function logEvent(room, type, details = {}, now = Date.now()) {
+  const entry = {
+    time: new Date(now).toISOString(),
+    round: room.round,
+    phase: room.phase,
+    type,
+    ...details,
+  };
+  entry.text = DESCRIBE[type] ? DESCRIBE[type](entry) : type;
+
+  room.log.push(entry);
+  return entry;
+}
+
+/**
+ * Host deleted a chat message: its text leaves the log too
+ * Returns the entry, or null if there is no such (undeleted) message
+ */
+function redactChat(log, messageId) {
+  const entry = log.find((e) => e.type === "CHAT" && e.messageId === messageId && !e.redacted);
+  if (!entry) return null;
+
+  entry.message = null;
+  entry.redacted = true;
+  entry.text = DESCRIBE.CHAT(entry);
+  return entry;
+}
+
+function formatLogText(log) {
+  return log
+    .map((e) => `${e.time}  R${e.round}  ${e.phase.padEnd(14)}  ${e.text}`)
+    .join("\n");
+}
+
+module.exports = { logEvent, redactChat, formatLogText };
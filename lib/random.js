@@ -0,0 +1,43 @@
+/**
+ * ==========================================================
+ * Seeded randomness (per room)
+ * ==========================================================
+ *
+ * mulberry32: a 32-bit seed, the whole generator state is one
+ * integer. Rooms keep it as room.rngState, so it is saved with the
+ * room and a game started from the same seed with the same inputs
+ * plays out the same way (role shuffle, random tie breaks, bots).
+ */
+
+const MAX_SEED = 2 ** 32 - 1;
+
+/**
+ * One step: returns { value in [0, 1), state (next state) }
+ */
+function mulberry32(state) {
+  const next = (state + 0x6d2b79f5) >>> 0;
+
+  let t = next;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 2 ** 32, state: next };
+}
+
+/**
+ * () => [0, 1) that advances holder.rngState on every call
+ */
+function seededRandom(holder) {
+  return () => {
+    const { value, state } = mulberry32(holder.rngState);
+    holder.rngState = state;
+    return value;
+  };
+}
+
+// New seed from any random source
+function makeSeed(random) {
+  return Math.floor(random() * (MAX_SEED + 1));
+}
+
+module.exports = { MAX_SEED, mulberry32, seededRandom, makeSeed };
@@ -0,0 +1,187 @@
+/**
+ * ==========================================================
+ * Role registry
+ * ==========================================================
+ *
+ * Every role declares:
+ * - team:          TOWN | MAFIA | NEUTRAL
+ * - faction:       win condition (see lib/factions.js), defaults to team
+ * - investigation: what a Detective check returns (alignment mode)
+ * - disguise:      role shown to exact-role Detective checks
+ * - action:        optional day/night action
+ *     type:    BLOCK | PROTECT | GUARD | KILL | SHOOT | INVESTIGATE
+ *     phase:   game phase the action is used in ("DAY" = any day phase)
+ *     label:   button text on the client
+ *     group:   team vote (mafia kill), majority decides
+ *     self:    may target themself
+ *     maxUses: uses per game (omitted => unlimited)
+ *     selfOnce: may target themself only once per game
+ *     noRepeat: not the same target two nights in a row
+ * - variant(action, settings): room rule variants of the action
+ * - voteWeight:    day vote weight (default 1)
+ */
+
+const TEAMS = {
+  TOWN: "TOWN",
+  MAFIA: "MAFIA",
+  NEUTRAL: "NEUTRAL",
+};
+
+// Night actions resolve in this order (lower first)
+const ACTION_PRIORITY = {
+  BLOCK: 1,
+  PROTECT: 2,
+  GUARD: 2,
+  KILL: 3,
+  SHOOT: 3,
+  INVESTIGATE: 4,
+};
+
+const MAFIA_KILL = { type: "KILL", phase: "MAFIA", label: "Vote Kill", group: true };
+
+const ROLE_DEFS = {
+  TOWN: {
+    team: TEAMS.TOWN,
+    investigation: "NOT MAFIA",
+    description: "Find and vote out the Mafia.",
+  },
+  MAFIA: {
+    team: TEAMS.MAFIA,
+    investigation: "MAFIA",
+    action: MAFIA_KILL,
+    description: "Vote with your team to kill one player each night.",
+  },
+  GODFATHER: {
+    team: TEAMS.MAFIA,
+    investigation: "NOT MAFIA",
+    disguise: "TOWN",
+    action: MAFIA_KILL,
+    description: "Mafia leader. Detective checks show you as NOT MAFIA.",
+  },
+  DOCTOR: {
+    team: TEAMS.TOWN,
+    investigation: "NOT MAFIA",
+    action: { type: "PROTECT", phase: "DOCTOR", label: "Protect", self: true },
+    variant: (action, s) => ({
+      ...action,
+      self: s.doctorSelfProtect !== "NEVER",
+      selfOnce: s.doctorSelfProtect === "ONCE",
+      noRepeat: s.doctorRepeatTarget === false,
+    }),
+    description: "Protect one player from being killed each night.",
+  },
+  DETECTIVE: {
+    team: TEAMS.TOWN,
+    investigation: "NOT MAFIA",
+    action: { type: "INVESTIGATE", phase: "DAY", label: "Investigate" },
+    // Night checks happen alongside the other early night actions
+    variant: (action, s) => (s.detectivePhase === "NIGHT" ? { ...action, phase: "DOCTOR" } : action),
+    description: "Investigate one player per day (or night) to learn their alignment.",
+  },
+  VIGILANTE: {
+    team: TEAMS.TOWN,
+    investigation: "NOT MAFIA",
+    action: { type: "SHOOT", phase: "MAFIA", label: "Shoot", maxUses: 2 },
+    description: "Sheriff / Vigilante: shoot a player at night (2 bullets).",
+  },
+  BODYGUARD: {
+    team: TEAMS.TOWN,
+    investigation: "NOT MAFIA",
+    action: { type: "GUARD", phase: "DOCTOR", label: "Guard" },
+    description: "Guard one player at night. If they are attacked, you die instead.",
+  },
+  ESCORT: {
+    team: TEAMS.TOWN,
+    investigation: "NOT MAFIA",
+    action: { type: "BLOCK", phase: "DOCTOR", label: "Roleblock" },
+    description: "Roleblock one player at night: their night action fails.",
+  },
+  MAYOR: {
+    team: TEAMS.TOWN,
+    investigation: "NOT MAFIA",
+    voteWeight: 2,
+    description: "Your day vote counts twice.",
+  },
+  JESTER: {
+    team: TEAMS.NEUTRAL,
+    faction: "JESTER",
+    investigation: "NOT MAFIA",
+    description: "Get yourself voted out by the town to win.",
+  },
+  SERIAL_KILLER: {
+    team: TEAMS.NEUTRAL,
+    faction: "SERIAL_KILLER",
+    investigation: "NOT MAFIA",
+    action: { type: "SHOOT", phase: "MAFIA", label: "Kill" },
+    description: "Kill one player each night. Win by being the last one standing.",
+  },
+};
+
+const ROLES = Object.fromEntries(Object.keys(ROLE_DEFS).map((r) => [r, r]));
+
+function roleDef(role) {
+  return ROLE_DEFS[role] || ROLE_DEFS.TOWN;
+}
+
+function factionOf(role) {
+  const def = roleDef(role);
+  return def.faction || def.team;
+}
+
+// "SERIAL_KILLER" -> "Serial Killer"
+function roleName(role) {
+  return role
+    .split("_")
+    .map((w) => w[0] + w.slice(1).toLowerCase())
+    .join(" ");
+}
+
+/**
+ * Role action with the room's rule variants applied (or null)
+ */
+function roleAction(role, settings) {
+  const def = roleDef(role);
+  if (!def.action) return null;
+  return def.variant ? def.variant(def.action, settings) : def.action;
+}
+
+/**
+ * Detective check result
+ * mode: ALIGNMENT (MAFIA / NOT MAFIA) | ROLE (exact role)
+ */
+function investigationResult(role, mode) {
+  const def = roleDef(role);
+  return mode === "ROLE" ? def.disguise || role : def.investigation;
+}
+
+function isMafia(player) {
+  return roleDef(player.role).team === TEAMS.MAFIA;
+}
+
+/**
+ * Role info sent to the player (your_role)
+ */
+function publicRoleInfo(role, settings) {
+  const def = roleDef(role);
+  return {
+    team: def.team,
+    faction: factionOf(role),
+    description: def.description,
+    action: roleAction(role, settings),
+    voteWeight: def.voteWeight || 1,
+  };
+}
+
+module.exports = {
+  TEAMS,
+  ROLES,
+  ROLE_DEFS,
+  ACTION_PRIORITY,
+  roleDef,
+  factionOf,
+  roleName,
+  roleAction,
+  investigationResult,
+  isMafia,
+  publicRoleInfo,
+};
@@ -0,0 +1,88 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * ==========================================================
+ * Room stores
+ * ==========================================================
+ *
+ * Every store has the same shape:
+ * - load()           => array of saved rooms (plain objects)
+ * - save(room)       => write one room (called on every change)
+ * - remove(roomCode) => delete one room
+ *
+ * Backends:
+ * - memory: snapshots kept in this process (lost on restart)
+ * - file:   one JSON file per room in a directory
+ */
+
+// Runtime-only room fields (rebuilt after load)
+const TRANSIENT_KEYS = ["timer", "feedTimers"];
+
+function serializeRoom(room) {
+  const data = {};
+  for (const key of Object.keys(room)) {
+    if (!TRANSIENT_KEYS.includes(key)) data[key] = room[key];
+  }
+  return JSON.stringify(data);
+}
+
+function createMemoryStore() {
+  const snapshots = new Map();
+
+  return {
+    load() {
+      return [...snapshots.values()].map((json) => JSON.parse(json));
+    },
+    save(room) {
+      snapshots.set(room.roomCode, serializeRoom(room));
+    },
+    remove(roomCode) {
+      snapshots.delete(roomCode);
+    },
+  };
+}
+
+function createFileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (roomCode) => path.join(dir, `${roomCode}.json`);
+
+  return {
+    load() {
+      const rooms = [];
+
+      for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith(".json")) continue;
+
+        try {
+          rooms.push(JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")));
+        } catch (err) {
+          console.log("Skipping unreadable room file:", file, err.message);
+        }
+      }
+
+      return rooms;
+    },
+    save(room) {
+      // write + rename so a crash never leaves half a file
+      const file = fileFor(room.roomCode);
+      fs.writeFileSync(file + ".tmp", serializeRoom(room));
+      fs.renameSync(file + ".tmp", file);
+    },
+    remove(roomCode) {
+      fs.rmSync(fileFor(roomCode), { force: true });
+    },
+  };
+}
+
+/**
+ * Pick backend by name ("memory" | "file")
+ */
+function createRoomStore(type, options = {}) {
+  if (type === "file") return createFileStore(options.dir || "data/rooms");
+  if (!type || type === "memory") return createMemoryStore();
+  throw new Error(`Unknown room store: ${type}`);
+}
+
+module.exports = { createRoomStore, createMemoryStore, createFileStore, serializeRoom };
@@ -0,0 +1,83 @@
+/**
+ * ==========================================================
+ * Input validation (names, chat) and per-socket rate limits
+ * ==========================================================
+ *
+ * Everything a client types ends up on every screen in the room,
+ * so names and messages are cleaned here before the server keeps
+ * them. Each check returns { value } or { error } (callback text).
+ */
+
+const NAME_MAX = 20;
+const MESSAGE_MAX = 300;
+
+// Letters (any script), digits, combining marks, space and - _ . '
+const NAME_PATTERN = /^[\p{L}\p{M}\p{N} _.'-]+$/u;
+
+// Names the server itself speaks as (system chat lines)
+const RESERVED_NAMES = ["system"];
+
+// Control characters and bidi overrides (can hide or flip other text)
+const CONTROL_CHARS = /[\p{Cc}\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff]/gu;
+
+/**
+ * Player, spectator and host names
+ * Empty input => fallback (default name), invisible-only input is an error
+ */
+function cleanName(input, fallback) {
+  const raw = String(input ?? "");
+  const value = raw.normalize("NFC").replace(CONTROL_CHARS, "").replace(/\s+/g, " ").trim();
+
+  if (!raw.trim()) return { value: fallback };
+  if (!value) return { error: "Name cannot be empty." };
+  if ([...value].length > NAME_MAX) return { error: `Name is too long (max ${NAME_MAX} characters).` };
+  if (!NAME_PATTERN.test(value)) {
+    return { error: "Names can only use letters, numbers, spaces and - _ . '" };
+  }
+  if (RESERVED_NAMES.includes(value.toLowerCase())) return { error: "This name is reserved." };
+
+  return { value };
+}
+
+// Chat messages (one line)
+function cleanMessage(input) {
+  const value = String(input ?? "")
+    .normalize("NFC")
+    .replace(CONTROL_CHARS, "")
+    .trim();
+
+  if (!value) return { error: "Empty message." };
+  if ([...value].length > MESSAGE_MAX) {
+    return { error: `Message is too long (max ${MESSAGE_MAX} characters).` };
+  }
+
+  return { value };
+}
+
+/**
+ * Rate limits per socket: at most `limit` events of a kind per window
+ * - chat:   public / mafia / graveyard messages
+ * - action: votes, nominations, verdicts, role actions, joining
+ */
+const RATE_LIMITS = {
+  chat: { limit: 5, windowMs: 5000, error: "You are sending messages too fast. Slow down." },
+  action: { limit: 10, windowMs: 5000, error: "Too many actions. Wait a moment and try again." },
+};
+
+/**
+ * Record one event of `kind`; returns the error when over the limit
+ * state: per-socket object (socket.data), timestamps live in state.rates
+ */
+function checkRate(state, kind, now) {
+  const { limit, windowMs, error } = RATE_LIMITS[kind];
+
+  state.rates = state.rates || {};
+  const recent = (state.rates[kind] || []).filter((t) => now - t < windowMs);
+  state.rates[kind] = recent;
+
+  if (recent.length >= limit) return error;
+  recent.push(now);
+  return null;
+}
+
+module.exports = { NAME_MAX, MESSAGE_MAX, RATE_LIMITS, cleanName, cleanMessage, checkRate };
@@ -0,0 +1,74 @@
+/**
+ * ==========================================================
+ * Vote resolution (day lynch + mafia kill)
+ * ==========================================================
+ *
+ * Tie rules:
+ * - NO_ELIMINATION: tie => nothing happens
+ * - RUNOFF:         tie => revote between the tied targets (day only)
+ * - RANDOM:         tie => random pick among the tied targets
+ * - MAJORITY:       top target needs a strict majority of eligible voters
+ *
+ * NO_LYNCH is a ballot like any target; if it wins, nobody is eliminated.
+ */
+
+const NO_LYNCH = "NO_LYNCH";
+
+const TIE_RULES = ["NO_ELIMINATION", "RUNOFF", "RANDOM", "MAJORITY"];
+
+/**
+ * Count ballots from valid voters on valid targets
+ * weightOf(voterId) => ballot weight (e.g. Mayor = 2)
+ * Returns [{ targetId, count, voterIds }], most votes first
+ */
+function tallyVotes(votes, isVoter, isTarget, weightOf = () => 1) {
+  const byTarget = new Map();
+
+  for (const voterId in votes) {
+    const targetId = votes[voterId];
+    if (!isVoter(voterId) || !isTarget(targetId)) continue;
+
+    if (!byTarget.has(targetId)) byTarget.set(targetId, { targetId, count: 0, voterIds: [] });
+    const entry = byTarget.get(targetId);
+    entry.count += weightOf(voterId);
+    entry.voterIds.push(voterId);
+  }
+
+  return [...byTarget.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Apply a tie rule to a tally
+ * options: { rule, eligible (total vote weight of eligible voters), random }
+ *
+ * Returns { outcome, targetId, tied }
+ * outcome: ELIMINATE | NO_VOTES | NO_LYNCH | TIE | RUNOFF | NO_MAJORITY
+ */
+function resolveVotes(tally, { rule, eligible, random = Math.random }) {
+  if (!tally.length) return { outcome: "NO_VOTES", targetId: null, tied: [] };
+
+  const top = tally[0].count;
+  const tied = tally.filter((t) => t.count === top).map((t) => t.targetId);
+
+  let targetId = null;
+
+  if (rule === "MAJORITY") {
+    if (tied.length > 1 || top * 2 <= eligible) {
+      return { outcome: "NO_MAJORITY", targetId: null, tied };
+    }
+    targetId = tied[0];
+  } else if (tied.length === 1) {
+    targetId = tied[0];
+  } else if (rule === "RUNOFF") {
+    return { outcome: "RUNOFF", targetId: null, tied };
+  } else if (rule === "RANDOM") {
+    targetId = tied[Math.floor(random() * tied.length)];
+  } else {
+    return { outcome: "TIE", targetId: null, tied };
+  }
+
+  if (targetId === NO_LYNCH) return { outcome: "NO_LYNCH", targetId: null, tied };
+  return { outcome: "ELIMINATE", targetId, tied };
+}
+
+module.exports = { NO_LYNCH, TIE_RULES, tallyVotes, resolveVotes };
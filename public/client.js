@@ -2,7 +2,28 @@ const socket = io();
 
 let myRoomCode = null;
 let myRole = "HOST / Unknown";
+let myRoleInfo = null; // { team, description, action, voteWeight } from your_role
+let detectiveHistory = []; // [{ round, targetName, result }]
+let myChoices = emptyChoices(); // own vote / action targets (names)
+
+function emptyChoices() {
+  return { dayVote: null, voteLocked: false, dayAction: null, nightAction: null };
+}
+
+// Drop the choices the server resets when this phase starts
+function clearChoices(phase) {
+  if (phase === "DAY_VOTING" || phase === "DAY_RUNOFF") {
+    myChoices.dayVote = null;
+    myChoices.voteLocked = false;
+  }
+  if (phase === "SLEEP") myChoices.nightAction = null;
+  if (phase === "DAY_DISCUSSION") myChoices.dayAction = null;
+}
 let lastState = null;
+let amSpectator = false; // joined after the game started
+
+// Phases where "DAY" role actions can be used
+const DAY_PHASES = ["DAY_DISCUSSION", "DAY_VOTING", "DAY_RUNOFF", "DEFENSE", "TRIAL_VOTE"];
 
 // =========================
 // SESSION STORAGE (NEW)
@@ -27,12 +48,70 @@ const myRoleEl = el("myRole");
 const detectiveResultEl = el("detectiveResult");
 
 const playersListEl = el("playersList");
+const spectatorsListEl = el("spectatorsList");
 
 const actionBox = el("actionBox");
 const actionTextEl = el("actionText");
 const targetsEl = el("targets");
 
 const startBtn = el("startBtn");
+const closeRoomBtn = el("closeRoomBtn");
+const playAgainBtn = el("playAgainBtn");
+
+// =========================
+// HOST CONTROL ELEMENTS
+// =========================
+const hostControlsBox = el("hostControlsBox");
+const pauseBtn = el("pauseBtn");
+const resumeBtn = el("resumeBtn");
+const skipBtn = el("skipBtn");
+const addTimeBtn = el("addTimeBtn");
+const removeTimeBtn = el("removeTimeBtn");
+
+// Moderator view (host_state)
+const moderatorBox = el("moderatorBox");
+const moderatorPlayersEl = el("moderatorPlayers");
+const moderatorTextEl = el("moderatorText");
+
+// =========================
+// SETTINGS ELEMENTS
+// =========================
+const settingsBox = el("settingsBox");
+const timerInputsEl = el("timerInputs");
+const extraRoleInputsEl = el("extraRoleInputs");
+const mafiaCountInput = el("mafiaCountInput");
+const minPlayersInput = el("minPlayersInput");
+const doctorInput = el("doctorInput");
+const detectiveInput = el("detectiveInput");
+const earlyAdvanceInput = el("earlyAdvanceInput");
+const openVotingInput = el("openVotingInput");
+const allowUnvoteInput = el("allowUnvoteInput");
+const voteChangeInput = el("voteChangeInput");
+const dayTieRuleInput = el("dayTieRuleInput");
+const nightTieRuleInput = el("nightTieRuleInput");
+const allowNoLynchInput = el("allowNoLynchInput");
+const allowSpectatorsInput = el("allowSpectatorsInput");
+const deadOmniscientInput = el("deadOmniscientInput");
+const spectatorDelayInput = el("spectatorDelayInput");
+const afkSkipNightInput = el("afkSkipNightInput");
+const afkModkillPhasesInput = el("afkModkillPhasesInput");
+const seedInput = el("seedInput");
+const whispersInput = el("whispersInput");
+const wordFilterInput = el("wordFilterInput");
+const dayFlowInput = el("dayFlowInput");
+const maxTrialsInput = el("maxTrialsInput");
+const doctorSelfProtectInput = el("doctorSelfProtectInput");
+const doctorRepeatTargetInput = el("doctorRepeatTargetInput");
+const detectivePhaseInput = el("detectivePhaseInput");
+const detectiveResultInput = el("detectiveResultInput");
+const detectiveDeliveryInput = el("detectiveDeliveryInput");
+const saveSettingsBtn = el("saveSettingsBtn");
+const rulesTextEl = el("rulesText");
+
+// last settings written into the inputs (so typing is not overwritten)
+let lastSettingsJson = null;
+// seed setting is host-only (host_state), kept apart from room_state settings
+let lastSettingsSeed;
 
 // =========================
 // CHAT ELEMENTS
@@ -41,11 +120,27 @@ const publicChatMessages = el("publicChatMessages");
 const publicChatInput = el("publicChatInput");
 const publicChatSendBtn = el("publicChatSendBtn");
 
+const whisperRow = el("whisperRow");
+const whisperTargetInput = el("whisperTargetInput");
+const whisperInput = el("whisperInput");
+const whisperSendBtn = el("whisperSendBtn");
+
 const mafiaChatBox = el("mafiaChatBox");
 const mafiaChatMessages = el("mafiaChatMessages");
 const mafiaChatInput = el("mafiaChatInput");
 const mafiaChatSendBtn = el("mafiaChatSendBtn");
 
+const deadChatBox = el("deadChatBox");
+const deadChatMessages = el("deadChatMessages");
+const deadChatInput = el("deadChatInput");
+const deadChatSendBtn = el("deadChatSendBtn");
+
+const omniscientBox = el("omniscientBox");
+const omniscientTextEl = el("omniscientText");
+
+const spectatorBox = el("spectatorBox");
+const spectatorTextEl = el("spectatorText");
+
 // =========================
 // BASIC HELPERS
 // =========================
@@ -60,37 +155,319 @@ function secondsToMMSS(sec) {
   return `${m}:${String(s).padStart(2, "0")}`;
 }
 
-function addChatMessage(container, senderName, message, time) {
+// phase length from room settings, e.g. "3:00"
+function phaseLength(state, phase) {
+  const sec = state?.settings?.timers?.[phase];
+  return sec ? secondsToMMSS(sec) : "-";
+}
+
+// Element with plain text content: names and messages are never parsed as HTML
+function textEl(tag, text, className) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  node.textContent = text;
+  return node;
+}
+
+// My name in the room (player or spectator), for @mentions
+function myName() {
+  const me = [...(lastState?.players || []), ...(lastState?.spectators || [])].find(
+    (p) => p.id === socket.id
+  );
+  return me?.name || null;
+}
+
+const REDACTED_TEXT = "(message deleted by host)";
+
+/**
+ * One chat line: { id, senderName, targetName (whisper), message,
+ * time (ISO, shown in our locale), mentions, redacted }
+ */
+function addChatMessage(container, m) {
   if (!container) return;
   const div = document.createElement("div");
   div.className = "chatMsg";
-  div.innerHTML = `<b>${senderName}</b> <span class="small">(${time})</span><br/>${message}`;
+  if (m.id) div.dataset.id = m.id;
+  if (m.targetName) div.classList.add("whisper");
+  if (m.mentions?.includes(myName())) div.classList.add("mention");
+
+  const from = m.targetName ? `${m.senderName} → ${m.targetName} (whisper)` : m.senderName;
+  const text = textEl("span", m.redacted ? REDACTED_TEXT : m.message, "chatText");
+  if (m.redacted) div.classList.add("redacted");
+
+  div.append(
+    textEl("b", from),
+    " ",
+    textEl("span", `(${new Date(m.time).toLocaleTimeString()})`, "small")
+  );
+
+  // Host: delete (everyone sees a redaction), shown via body.isHost
+  if (m.id && !m.redacted) {
+    const del = textEl("button", "Delete", "secondary deleteBtn");
+    del.onclick = () => {
+      socket.emit("delete_message", { roomCode: myRoomCode, messageId: m.id }, (res) => {
+        if (res?.error) alert(res.error);
+      });
+    };
+    div.append(" ", del);
+  }
+
+  div.append(document.createElement("br"), text);
   container.appendChild(div);
   container.scrollTop = container.scrollHeight;
 }
 
+// Replace a chat panel with a backlog (session_snapshot)
+function rebuildChat(container, messages) {
+  if (!container) return;
+  container.innerHTML = "";
+  messages.forEach((m) => addChatMessage(container, m));
+}
+
 function renderPlayers(players) {
   if (!playersListEl) return;
 
   playersListEl.innerHTML = "";
 
+  const amHost = lastState?.hostId === socket.id;
+  const running = lastState?.phase !== "LOBBY" && lastState?.phase !== "ENDED";
+
   players.forEach((p) => {
     const div = document.createElement("div");
     div.className = "player" + (p.alive ? "" : " dead");
-    div.innerHTML = `
-      <div><b>${p.name}</b> ${p.alive ? "" : "(DEAD)"}</div>
-      <div class="small">Role: ${p.revealedRole ? p.revealedRole : "Hidden"}</div>
-    `;
+
+    let status = p.alive ? "" : "(DEAD)";
+    if (p.removed) status = "(REMOVED)";
+    if (p.bot) status = `(BOT) ${status}`;
+    if (p.muted) status = `${status} (MUTED)`;
+
+    // Presence: online dot, or how long they have been gone
+    const away = p.disconnectedSince
+      ? ` offline ${secondsToMMSS(Math.floor(-realMsUntil(p.disconnectedSince) / 1000))}`
+      : "";
+    const presence = p.connected ? "online" : "offline";
+
+    const dot = textEl("span", "", `presence ${presence}`);
+    dot.title = presence;
+    const title = document.createElement("div");
+    title.append(dot, textEl("b", p.name), ` ${status}`);
+    div.append(title, textEl("div", `Role: ${p.revealedRole || "Hidden"}${away}`, "small"));
+
+    // Trial day flow: nomination / on trial
+    const nameOf = (id) => players.find((x) => x.id === id)?.name || "?";
+    const nomination = lastState?.nominations?.find((n) => n.targetId === p.id);
+    if (lastState?.defendantId === p.id) {
+      const line = document.createElement("div");
+      line.className = "votes";
+      line.innerText = "ON TRIAL";
+      div.appendChild(line);
+    } else if (nomination) {
+      const line = document.createElement("div");
+      line.className = "votes";
+      line.innerText =
+        `Nominated by ${nameOf(nomination.nominatorId)}` +
+        (nomination.seconderId ? `, seconded by ${nameOf(nomination.seconderId)}` : "");
+      div.appendChild(line);
+    }
+
+    // Open voting: votes on this player
+    const votes = lastState?.votes?.tally.find((t) => t.targetId === p.id);
+    if (votes) {
+      const voters = votes.voterIds.map((id) => {
+        const name = nameOf(id);
+        return lastState.votes.locked.includes(id) ? `${name} 🔒` : name;
+      });
+      const line = document.createElement("div");
+      line.className = "votes";
+      line.innerText = `Votes: ${votes.count} (${voters.join(", ")})`;
+      div.appendChild(line);
+    }
+
+    // Host: kick / ban
+    if (amHost && !p.removed) {
+      const row = document.createElement("div");
+      row.className = "row";
+      row.appendChild(moderationButton("Kick", "kick_player", p));
+      row.appendChild(moderationButton("Ban", "ban_player", p));
+      row.appendChild(muteButton(p));
+      if (p.alive && running) row.appendChild(substituteButton(p));
+      div.appendChild(row);
+    }
+
     playersListEl.appendChild(div);
   });
 }
 
+function moderationButton(label, event, player) {
+  const btn = document.createElement("button");
+  btn.className = "danger";
+  btn.innerText = label;
+  btn.onclick = () => {
+    if (!confirm(`${label} ${player.name}?`)) return;
+    socket.emit(event, { roomCode: myRoomCode, playerId: player.id }, (res) => {
+      if (res?.error) alert(res.error);
+    });
+  };
+  return btn;
+}
+
+// Host: mute / unmute (all chat channels)
+function muteButton(player) {
+  const btn = document.createElement("button");
+  btn.className = "secondary";
+  btn.innerText = player.muted ? "Unmute" : "Mute";
+  btn.onclick = () => {
+    const payload = { roomCode: myRoomCode, playerId: player.id, muted: !player.muted };
+    socket.emit("mute_player", payload, (res) => {
+      if (res?.error) alert(res.error);
+    });
+  };
+  return btn;
+}
+
+// Host: replacement invite for a player's seat
+function substituteButton(player) {
+  const btn = document.createElement("button");
+  btn.className = "secondary";
+  btn.innerText = "Replace";
+  btn.onclick = () => {
+    socket.emit("issue_substitute", { roomCode: myRoomCode, playerId: player.id }, (res) => {
+      if (res?.error) return alert(res.error);
+      prompt(`Give this invite to ${player.name}'s replacement (room ${myRoomCode}):`, res.invite);
+    });
+  };
+  return btn;
+}
+
 function clearActionUI() {
   show(actionBox, false);
   if (actionTextEl) actionTextEl.innerText = "";
   if (targetsEl) targetsEl.innerHTML = "";
 }
 
+// Unvote / lock in buttons (room voting options)
+function renderVoteOptions(state) {
+  const { settings } = state;
+
+  if (settings.allowNoLynch) {
+    const count = state.votes?.tally.find((t) => t.targetId === "NO_LYNCH")?.count;
+
+    const btn = document.createElement("button");
+    btn.className = "secondary";
+    btn.innerText = count ? `No Lynch (${count})` : "No Lynch";
+    btn.onclick = () => {
+      socket.emit("cast_vote", { roomCode: myRoomCode, targetId: "NO_LYNCH" }, (res) => {
+        if (res?.error) return alert(res.error);
+        myChoices.dayVote = "No lynch";
+        renderActionUI(lastState);
+        alert("Vote submitted.");
+      });
+    };
+    targetsEl.appendChild(btn);
+  }
+
+  if (settings.allowUnvote && settings.voteChange !== "FINAL") {
+    const btn = document.createElement("button");
+    btn.className = "secondary";
+    btn.innerText = "Unvote";
+    btn.onclick = () => {
+      socket.emit("unvote", { roomCode: myRoomCode }, (res) => {
+        if (res?.error) return alert(res.error);
+        myChoices.dayVote = null;
+        renderActionUI(lastState);
+      });
+    };
+    targetsEl.appendChild(btn);
+  }
+
+  if (settings.voteChange === "LOCK_IN") {
+    const btn = document.createElement("button");
+    btn.className = "secondary";
+    btn.innerText = "Lock In Vote";
+    btn.onclick = () => {
+      socket.emit("lock_vote", { roomCode: myRoomCode }, (res) => {
+        if (res?.error) return alert(res.error);
+        myChoices.voteLocked = true;
+        renderActionUI(lastState);
+        alert("Vote locked in.");
+      });
+    };
+    targetsEl.appendChild(btn);
+  }
+}
+
+// Nominate anyone alive (once per day) / second open nominations
+function renderNominationButtons(state, me, alivePlayers) {
+  const alreadyNominated = state.nominations.some((n) => n.nominatorId === me.id);
+
+  if (!alreadyNominated) {
+    alivePlayers
+      .filter((p) => p.id !== me.id && !state.nominations.some((n) => n.targetId === p.id))
+      .forEach((p) => {
+        const btn = document.createElement("button");
+        btn.innerText = `Nominate: ${p.name}`;
+        btn.onclick = () => {
+          socket.emit("nominate", { roomCode: myRoomCode, targetId: p.id }, (res) => {
+            if (res?.error) alert(res.error);
+          });
+        };
+        targetsEl.appendChild(btn);
+      });
+  }
+
+  state.nominations
+    .filter((n) => !n.seconderId && n.nominatorId !== me.id && n.targetId !== me.id)
+    .forEach((n) => {
+      const target = state.players.find((p) => p.id === n.targetId);
+      const btn = document.createElement("button");
+      btn.className = "secondary";
+      btn.innerText = `Second: ${target?.name || "?"}`;
+      btn.onclick = () => {
+        socket.emit("second_nomination", { roomCode: myRoomCode, targetId: n.targetId }, (res) => {
+          if (res?.error) alert(res.error);
+        });
+      };
+      targetsEl.appendChild(btn);
+    });
+}
+
+// My role action is usable in the current phase ("DAY" = any day phase)
+function roleActionActive(state) {
+  const action = myRoleInfo?.action;
+  if (!action) return false;
+  if (action.phase === "DAY") return DAY_PHASES.includes(state.phase);
+  return state.phase === action.phase;
+}
+
+// Role action buttons (Protect / Vote Kill / Investigate / ...) -> role_action
+function renderRoleAction(state, me, alivePlayers) {
+  const { action, description } = myRoleInfo;
+
+  const day = action.phase === "DAY";
+  const when = day ? "once per day" : phaseLength(state, action.phase);
+  const chosen = day ? myChoices.dayAction : myChoices.nightAction;
+  const roleText = `${myRole} (${when}): ${description}` + (chosen ? `\nYour choice: ${chosen}` : "");
+  actionTextEl.innerText = actionTextEl.innerText
+    ? `${actionTextEl.innerText}\n${roleText}`
+    : roleText;
+
+  alivePlayers
+    .filter((p) => action.self || p.id !== me.id)
+    .forEach((p) => {
+      const btn = document.createElement("button");
+      btn.innerText = `${action.label}: ${p.name}`;
+      btn.onclick = () => {
+        socket.emit("role_action", { roomCode: myRoomCode, targetId: p.id }, (res) => {
+          if (res?.error) return alert(res.error);
+          myChoices[day ? "dayAction" : "nightAction"] = p.name;
+          renderActionUI(lastState);
+          alert(`${action.label}: ${p.name} selected.`);
+        });
+      };
+      targetsEl.appendChild(btn);
+    });
+}
+
 function renderActionUI(state) {
   clearActionUI();
   if (!state) return;
@@ -106,131 +483,335 @@ function renderActionUI(state) {
 
   const alivePlayers = state.players.filter((p) => p.alive);
 
+  // Day role actions (Detective) are added below the phase's own buttons
+  const dayAction = roleActionActive(state) && myRoleInfo.action.phase === "DAY";
+
   // =========================
-  // DAY VOTING (ALL ALIVE)
-  // + Detective full day also allowed here
+  // DAY VOTING (ALL ALIVE) / RUNOFF (TIED ONLY)
   // =========================
-  if (state.phase === "DAY_VOTING") {
+  if (state.phase === "DAY_VOTING" || state.phase === "DAY_RUNOFF") {
     show(actionBox, true);
 
-    // Detective investigates during voting
-    if (myRole === "DETECTIVE") {
-      actionTextEl.innerText =
-        "Detective (Full Day): You can investigate ONLY 1 player per day (during discussion or voting).";
+    const runoff = state.phase === "DAY_RUNOFF";
+
+    if (runoff) {
+      actionTextEl.innerText = `Runoff (${phaseLength(
+        state,
+        "DAY_RUNOFF"
+      )}): vote again between the tied players.`;
     } else {
-      actionTextEl.innerText = "Voting time (3 minutes): vote one player to eliminate.";
+      actionTextEl.innerText = `Voting time (${phaseLength(
+        state,
+        "DAY_VOTING"
+      )}): vote one player to eliminate.`;
+    }
+    if (myChoices.dayVote) {
+      const locked = myChoices.voteLocked ? " (locked)" : "";
+      actionTextEl.innerText += `\nYour vote: ${myChoices.dayVote}${locked}`;
     }
 
-    alivePlayers.forEach((p) => {
-      const btn = document.createElement("button");
-
-      if (myRole === "DETECTIVE") {
-        btn.innerText = `Investigate: ${p.name}`;
-        btn.onclick = () => {
-          socket.emit("detective_check", { roomCode: myRoomCode, targetId: p.id }, (res) => {
-            if (res?.error) alert(res.error);
-            else alert("Investigation done (only once today).");
-          });
-        };
-      } else {
-        btn.innerText = `Vote: ${p.name}`;
-        btn.onclick = () => {
-          socket.emit("cast_vote", { roomCode: myRoomCode, targetId: p.id }, (res) => {
-            if (res?.error) alert(res.error);
-            else alert("Vote submitted.");
-          });
-        };
-      }
+    const targets = runoff
+      ? alivePlayers.filter((p) => state.runoffCandidates?.includes(p.id))
+      : alivePlayers;
 
+    targets.forEach((p) => {
+      const btn = document.createElement("button");
+      btn.innerText = `Vote: ${p.name}`;
+      btn.onclick = () => {
+        socket.emit("cast_vote", { roomCode: myRoomCode, targetId: p.id }, (res) => {
+          if (res?.error) return alert(res.error);
+          myChoices.dayVote = p.name;
+          renderActionUI(lastState);
+          alert("Vote submitted.");
+        });
+      };
       targetsEl.appendChild(btn);
     });
 
+    renderVoteOptions(state);
+
+    if (dayAction) renderRoleAction(state, me, alivePlayers);
     return;
   }
 
   // =========================
-  // DOCTOR ACTION (NIGHT)
+  // NIGHT ROLE ACTIONS (Doctor, Mafia, Vigilante, ...)
   // =========================
-  if (state.phase === "DOCTOR" && myRole === "DOCTOR") {
-    show(actionBox, true);
-    actionTextEl.innerText = "Doctor (2 minutes): select one player to protect.";
+  if (state.phase === "DOCTOR" || state.phase === "MAFIA") {
+    if (!roleActionActive(state)) return;
 
-    alivePlayers.forEach((p) => {
-      const btn = document.createElement("button");
-      btn.innerText = `Protect: ${p.name}`;
-      btn.onclick = () => {
-        socket.emit("doctor_protect", { roomCode: myRoomCode, targetId: p.id }, (res) => {
-          if (res?.error) alert(res.error);
-          else alert("Protection selected.");
-        });
-      };
-      targetsEl.appendChild(btn);
-    });
+    show(actionBox, true);
+    renderRoleAction(state, me, alivePlayers);
     return;
   }
 
   // =========================
-  // MAFIA ACTION (NIGHT)
+  // TRIAL DAY FLOW
+  // Nominate / second during discussion, then guilty / innocent
   // =========================
-  if (state.phase === "MAFIA" && myRole === "MAFIA") {
+  if (state.phase === "DAY_DISCUSSION" && state.settings.dayFlow === "TRIAL") {
+    show(actionBox, true);
+    actionTextEl.innerText = "Nominate one suspect per day. A nomination needs a second to go to trial.";
+    renderNominationButtons(state, me, alivePlayers);
+  }
+
+  if (state.phase === "DEFENSE") {
+    const defendant = state.players.find((p) => p.id === state.defendantId);
     show(actionBox, true);
     actionTextEl.innerText =
-      "Mafia (3 minutes): vote one player to kill (majority wins, tie = no kill).";
+      state.defendantId === me.id
+        ? "You are on trial: make your defense in public chat."
+        : `${defendant?.name || "?"} is on trial and making their defense.`;
+  }
+
+  if (state.phase === "TRIAL_VOTE" && state.defendantId !== me.id) {
+    const defendant = state.players.find((p) => p.id === state.defendantId);
+    show(actionBox, true);
+
+    const v = state.verdicts;
+    const counts = v ? ` (guilty ${v.guilty}, innocent ${v.innocent})` : "";
+    actionTextEl.innerText = `Is ${defendant?.name || "?"} guilty?${counts}`;
 
-    alivePlayers.forEach((p) => {
+    ["GUILTY", "INNOCENT"].forEach((verdict) => {
       const btn = document.createElement("button");
-      btn.innerText = `Vote Kill: ${p.name}`;
+      btn.className = verdict === "GUILTY" ? "danger" : "";
+      btn.innerText = verdict === "GUILTY" ? "Guilty" : "Innocent";
       btn.onclick = () => {
-        socket.emit("mafia_vote_kill", { roomCode: myRoomCode, targetId: p.id }, (res) => {
+        socket.emit("cast_verdict", { roomCode: myRoomCode, verdict }, (res) => {
           if (res?.error) alert(res.error);
-          else alert("Mafia vote submitted.");
+          else alert("Verdict submitted.");
         });
       };
       targetsEl.appendChild(btn);
     });
-    return;
   }
 
   // =========================
-  // DETECTIVE ACTION (FULL DAY)
-  // Allowed in DAY_DISCUSSION
-  // (DAY_VOTING handled above)
+  // DAY ROLE ACTION (Detective, FULL DAY)
   // =========================
-  if (state.phase === "DAY_DISCUSSION" && myRole === "DETECTIVE") {
+  if (dayAction) {
     show(actionBox, true);
-    actionTextEl.innerText =
-      "Detective (Full Day): You can investigate ONLY 1 player per day (during discussion or voting).";
+    renderRoleAction(state, me, alivePlayers);
+  }
+}
 
-    alivePlayers.forEach((p) => {
-      const btn = document.createElement("button");
-      btn.innerText = `Investigate: ${p.name}`;
-      btn.onclick = () => {
-        socket.emit("detective_check", { roomCode: myRoomCode, targetId: p.id }, (res) => {
-          if (res?.error) alert(res.error);
-          else alert("Investigation done (only once today).");
-        });
-      };
-      targetsEl.appendChild(btn);
-    });
+function resetMyRole() {
+  myRole = "HOST / Unknown";
+  myRoleInfo = null;
+  if (myRoleEl) myRoleEl.innerText = myRole;
+  if (detectiveResultEl) detectiveResultEl.innerText = "";
+  detectiveHistory = [];
+  myChoices = emptyChoices();
+  show(mafiaChatBox, false);
+}
+
+// =========================
+// ROOM SETTINGS
+// =========================
+function renderRules(state) {
+  if (!rulesTextEl) return;
+
+  const s = state.settings;
+  if (!s || state.phase !== "LOBBY") {
+    rulesTextEl.innerText = "";
     return;
   }
+
+  const roles = [`Mafia: ${s.mafiaCount ?? "auto"}`];
+  if (s.doctor) roles.push("Doctor");
+  if (s.detective) roles.push("Detective");
+  Object.entries(s.extraRoles).forEach(([role, count]) => {
+    if (count) roles.push(count > 1 ? `${role} x${count}` : role);
+  });
+
+  rulesTextEl.innerText =
+    `Rules: ${roles.join(", ")} | Min players: ${s.minPlayers} | ` +
+    `Discussion ${secondsToMMSS(s.timers.DAY_DISCUSSION)}, Voting ${secondsToMMSS(s.timers.DAY_VOTING)}` +
+    (s.earlyAdvance ? " | Early advance" : "") +
+    (s.openVoting ? " | Open voting" : "") +
+    (s.dayFlow === "TRIAL" ? " | Nominations + trial" : "");
+}
+
+function renderSettingsForm(settings) {
+  const json = JSON.stringify(settings);
+  if (json === lastSettingsJson) return;
+  lastSettingsJson = json;
+
+  if (timerInputsEl) {
+    timerInputsEl.innerHTML = "";
+    Object.keys(settings.timers).forEach((key) => {
+      const label = document.createElement("label");
+      label.innerText = key;
+
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = key === "SLEEP" || key === "EXECUTION" ? "0" : "10";
+      input.dataset.timer = key;
+      input.value = settings.timers[key];
+
+      label.appendChild(input);
+      timerInputsEl.appendChild(label);
+    });
+  }
+
+  if (extraRoleInputsEl) {
+    extraRoleInputsEl.innerHTML = "";
+    Object.keys(settings.extraRoles).forEach((role) => {
+      const label = document.createElement("label");
+      label.innerText = role;
+
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "0";
+      input.dataset.role = role;
+      input.value = settings.extraRoles[role];
+
+      label.appendChild(input);
+      extraRoleInputsEl.appendChild(label);
+    });
+  }
+
+  if (mafiaCountInput) mafiaCountInput.value = settings.mafiaCount ?? "";
+  if (minPlayersInput) minPlayersInput.value = settings.minPlayers;
+  if (doctorInput) doctorInput.checked = settings.doctor;
+  if (detectiveInput) detectiveInput.checked = settings.detective;
+  if (earlyAdvanceInput) earlyAdvanceInput.checked = settings.earlyAdvance;
+  if (openVotingInput) openVotingInput.checked = settings.openVoting;
+  if (allowUnvoteInput) allowUnvoteInput.checked = settings.allowUnvote;
+  if (voteChangeInput) voteChangeInput.value = settings.voteChange;
+  if (dayTieRuleInput) dayTieRuleInput.value = settings.dayTieRule;
+  if (nightTieRuleInput) nightTieRuleInput.value = settings.nightTieRule;
+  if (allowNoLynchInput) allowNoLynchInput.checked = settings.allowNoLynch;
+  if (allowSpectatorsInput) allowSpectatorsInput.checked = settings.allowSpectators;
+  if (deadOmniscientInput) deadOmniscientInput.checked = settings.deadOmniscient;
+  if (spectatorDelayInput) spectatorDelayInput.value = settings.spectatorDelay ?? "";
+  if (afkSkipNightInput) afkSkipNightInput.checked = settings.afkSkipNight;
+  if (afkModkillPhasesInput) afkModkillPhasesInput.value = settings.afkModkillPhases ?? "";
+  if (whispersInput) whispersInput.value = settings.whispers;
+  if (wordFilterInput) wordFilterInput.value = settings.wordFilter.join(", ");
+  if (dayFlowInput) dayFlowInput.value = settings.dayFlow;
+  if (maxTrialsInput) maxTrialsInput.value = settings.maxTrials;
+  if (doctorSelfProtectInput) doctorSelfProtectInput.value = settings.doctorSelfProtect;
+  if (doctorRepeatTargetInput) doctorRepeatTargetInput.checked = settings.doctorRepeatTarget;
+  if (detectivePhaseInput) detectivePhaseInput.value = settings.detectivePhase;
+  if (detectiveResultInput) detectiveResultInput.value = settings.detectiveResult;
+  if (detectiveDeliveryInput) detectiveDeliveryInput.value = settings.detectiveDelivery;
+  syncDetectiveDelivery();
+}
+
+// Delivery only applies to day checks (night checks come with the night result)
+function syncDetectiveDelivery() {
+  if (detectiveDeliveryInput) detectiveDeliveryInput.disabled = detectivePhaseInput?.value === "NIGHT";
+}
+
+if (detectivePhaseInput) detectivePhaseInput.addEventListener("change", syncDetectiveDelivery);
+
+function readSettingsForm() {
+  const timers = {};
+  timerInputsEl?.querySelectorAll("input[data-timer]").forEach((input) => {
+    timers[input.dataset.timer] = Number(input.value);
+  });
+
+  const extraRoles = {};
+  extraRoleInputsEl?.querySelectorAll("input[data-role]").forEach((input) => {
+    extraRoles[input.dataset.role] = Number(input.value);
+  });
+
+  const mafiaCount = mafiaCountInput?.value.trim();
+  const spectatorDelay = spectatorDelayInput?.value.trim();
+  const afkModkillPhases = afkModkillPhasesInput?.value.trim();
+  const seed = seedInput?.value.trim();
+
+  return {
+    timers,
+    extraRoles,
+    mafiaCount: mafiaCount ? Number(mafiaCount) : null,
+    minPlayers: Number(minPlayersInput?.value),
+    doctor: !!doctorInput?.checked,
+    detective: !!detectiveInput?.checked,
+    earlyAdvance: !!earlyAdvanceInput?.checked,
+    openVoting: !!openVotingInput?.checked,
+    allowUnvote: !!allowUnvoteInput?.checked,
+    voteChange: voteChangeInput?.value || "FREE",
+    dayTieRule: dayTieRuleInput?.value || "NO_ELIMINATION",
+    nightTieRule: nightTieRuleInput?.value || "NO_ELIMINATION",
+    allowNoLynch: !!allowNoLynchInput?.checked,
+    allowSpectators: !!allowSpectatorsInput?.checked,
+    deadOmniscient: !!deadOmniscientInput?.checked,
+    spectatorDelay: spectatorDelay ? Number(spectatorDelay) : null,
+    afkSkipNight: !!afkSkipNightInput?.checked,
+    afkModkillPhases: afkModkillPhases ? Number(afkModkillPhases) : null,
+    seed: seed ? Number(seed) : null,
+    whispers: whispersInput?.value || "OFF",
+    wordFilter: wordFilterInput?.value || "",
+    dayFlow: dayFlowInput?.value || "OPEN",
+    maxTrials: Number(maxTrialsInput?.value),
+    doctorSelfProtect: doctorSelfProtectInput?.value || "ALWAYS",
+    doctorRepeatTarget: !!doctorRepeatTargetInput?.checked,
+    detectivePhase: detectivePhaseInput?.value || "DAY",
+    detectiveResult: detectiveResultInput?.value || "ALIGNMENT",
+    detectiveDelivery: detectiveDeliveryInput?.value || "IMMEDIATE",
+  };
 }
 
 function renderState(state) {
+  // Phase changed: forget choices the server just reset
+  if (lastState && lastState.phase !== state.phase) clearChoices(state.phase);
   lastState = state;
+  state.receivedAt = Date.now();
 
   if (roomCodeEl) roomCodeEl.innerText = state.roomCode;
   if (roundEl) roundEl.innerText = state.round;
-  if (phaseEl) phaseEl.innerText = state.phase;
+  if (phaseEl) phaseEl.innerText = state.phase + (state.paused ? " (PAUSED)" : "");
   if (announcementEl) announcementEl.innerText = state.announcement || "-";
 
   renderPlayers(state.players);
   renderActionUI(state);
 
+  if (spectatorsListEl) {
+    spectatorsListEl.innerText = state.spectators.length
+      ? `Spectators: ${state.spectators.map((s) => s.name).join(", ")}`
+      : "";
+  }
+
   // Show Start button only for host in lobby
   const amHost = state.hostId === socket.id;
+  document.body.classList.toggle("isHost", amHost);
   show(startBtn, amHost && state.phase === "LOBBY");
 
+  show(closeRoomBtn, amHost);
+  show(el("addBotRow"), amHost && state.phase === "LOBBY");
+  show(playAgainBtn, amHost && state.phase === "ENDED");
+
+  // New game (play again): forget last game's private info
+  if (state.phase === "LOBBY") resetMyRole();
+  show(finalBox, state.phase === "ENDED");
+
+  // Graveyard: host, spectators and dead players
+  // (deadOmniscient: spectators get it in their delayed feed during the game)
+  const me = state.players.find((p) => p.id === socket.id);
+  const { deadOmniscient, spectatorDelay } = state.settings;
+  const liveGraveyard =
+    !deadOmniscient || spectatorDelay === 0 || state.phase === "LOBBY" || state.phase === "ENDED";
+  const inGraveyard =
+    amHost || (amSpectator && liveGraveyard) || (!!me && !me.alive && state.phase !== "LOBBY");
+  show(deadChatBox, inGraveyard);
+  renderWhisperRow(state, me);
+  show(spectatorBox, amSpectator && state.phase !== "LOBBY");
+  if (!inGraveyard || !state.settings.deadOmniscient) show(omniscientBox, false);
+
+  // Host controls while the game is running
+  const running = state.phase !== "LOBBY" && state.phase !== "ENDED";
+  show(hostControlsBox, amHost && running);
+  show(moderatorBox, amHost && state.phase !== "LOBBY");
+  show(pauseBtn, !state.paused);
+  show(resumeBtn, !!state.paused);
+
+  // Settings form only for host in lobby
+  show(settingsBox, amHost && state.phase === "LOBBY");
+  if (amHost && state.settings) renderSettingsForm(state.settings);
+  renderRules(state);
+
   show(authBox, false);
   show(gameBox, true);
 }
@@ -238,14 +819,32 @@ function renderState(state) {
 // =========================
 // TIMER DISPLAY
 // =========================
+
+// Real ms from now until a server (game clock) time; the game clock
+// may run faster than real time (dev mode) or differ from ours
+function realMsUntil(serverTime) {
+  if (!lastState?.serverNow) return serverTime - Date.now();
+
+  const speed = lastState.clockSpeed || 1;
+  const serverNow = lastState.serverNow + (Date.now() - lastState.receivedAt) * speed;
+  return (serverTime - serverNow) / speed;
+}
+
 setInterval(() => {
   if (!timerEl) return;
 
+  // Paused: show frozen remaining time
+  if (lastState?.paused) {
+    const pausedMs = lastState.pausedRemainingMs / (lastState.clockSpeed || 1);
+    timerEl.innerText = `${secondsToMMSS(Math.floor(pausedMs / 1000))} (paused)`;
+    return;
+  }
+
   if (!lastState || !lastState.phaseEndsAt) {
     timerEl.innerText = "-";
     return;
   }
-  const leftMs = lastState.phaseEndsAt - Date.now();
+  const leftMs = realMsUntil(lastState.phaseEndsAt);
   const leftSec = Math.max(0, Math.floor(leftMs / 1000));
   timerEl.innerText = secondsToMMSS(leftSec);
 }, 250);
@@ -292,6 +891,64 @@ if (mafiaChatInput) {
   });
 }
 
+// Graveyard chat send
+if (deadChatSendBtn) {
+  deadChatSendBtn.onclick = () => {
+    const msg = (deadChatInput?.value || "").trim();
+    if (!msg) return;
+
+    socket.emit("dead_chat", { roomCode: myRoomCode, message: msg }, (res) => {
+      if (res?.error) alert(res.error);
+      else deadChatInput.value = "";
+    });
+  };
+}
+
+if (deadChatInput) {
+  deadChatInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") deadChatSendBtn.click();
+  });
+}
+
+// Day whisper send
+if (whisperSendBtn) {
+  whisperSendBtn.onclick = () => {
+    const msg = (whisperInput?.value || "").trim();
+    if (!msg || !whisperTargetInput.value) return;
+
+    const payload = { roomCode: myRoomCode, targetId: whisperTargetInput.value, message: msg };
+    socket.emit("whisper", payload, (res) => {
+      if (res?.error) alert(res.error);
+      else whisperInput.value = "";
+    });
+  };
+}
+
+if (whisperInput) {
+  whisperInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") whisperSendBtn.click();
+  });
+}
+
+// Whisper row: alive players by day when the room allows whispers
+function renderWhisperRow(state, me) {
+  const day = ["DAY_DISCUSSION", "DAY_VOTING", "DAY_RUNOFF", "DEFENSE", "TRIAL_VOTE"];
+  const canWhisper =
+    state.settings.whispers !== "OFF" && !!me?.alive && day.includes(state.phase) && !me.muted;
+  show(whisperRow, canWhisper);
+  if (!canWhisper || !whisperTargetInput) return;
+
+  const targets = state.players.filter((p) => p.alive && p.id !== me.id);
+  const selected = whisperTargetInput.value;
+  whisperTargetInput.innerHTML = "";
+  targets.forEach((p) => {
+    const option = textEl("option", p.name);
+    option.value = p.id;
+    whisperTargetInput.appendChild(option);
+  });
+  if (targets.some((p) => p.id === selected)) whisperTargetInput.value = selected;
+}
+
 // =========================
 // CREATE ROOM (HOST)
 // =========================
@@ -320,28 +977,55 @@ el("createRoomBtn").onclick = () => {
 // =========================
 // JOIN ROOM (PLAYER)
 // =========================
+function onJoined(roomCode, res) {
+  if (res?.error) {
+    alert(res.error);
+    return;
+  }
+
+  myRoomCode = roomCode;
+  amSpectator = !!res.spectator;
+
+  // Save token for refresh reconnect
+  if (res.token) {
+    localStorage.setItem(LS_ROOM, myRoomCode);
+    localStorage.setItem(LS_TOKEN, res.token);
+  }
+
+  alert((amSpectator ? "Watching room: " : "Joined room: ") + roomCode);
+}
+
 el("joinRoomBtn").onclick = () => {
   const playerName = el("playerNameInput").value.trim() || "Player";
   const roomCode = el("roomCodeInput").value.trim().toUpperCase();
 
-  socket.emit("join_room", { roomCode, playerName }, (res) => {
-    if (res?.error) {
-      alert(res.error);
-      return;
-    }
+  socket.emit("join_room", { roomCode, playerName }, (res) => onJoined(roomCode, res));
+};
 
-    myRoomCode = roomCode;
+// Substitute: take over a seat with the host-issued invite
+el("takeSeatBtn").onclick = () => {
+  const playerName = el("playerNameInput").value.trim();
+  const roomCode = el("roomCodeInput").value.trim().toUpperCase();
+  const invite = el("seatTokenInput").value.trim();
 
-    // Save token for refresh reconnect
-    if (res.token) {
-      localStorage.setItem(LS_ROOM, myRoomCode);
-      localStorage.setItem(LS_TOKEN, res.token);
-    }
+  socket.emit("join_as_substitute", { roomCode, invite, playerName }, (res) => {
+    if (res?.error) return alert(res.error);
 
-    alert("Joined room: " + roomCode);
+    myRoomCode = roomCode;
+    localStorage.setItem(LS_ROOM, roomCode);
+    localStorage.setItem(LS_TOKEN, res.token);
+    alert("You took over a seat in room " + roomCode);
   });
 };
 
+// Spectator: same name / code inputs, never gets a role
+el("spectateBtn").onclick = () => {
+  const name = el("playerNameInput").value.trim() || "Spectator";
+  const roomCode = el("roomCodeInput").value.trim().toUpperCase();
+
+  socket.emit("join_as_spectator", { roomCode, name }, (res) => onJoined(roomCode, res));
+};
+
 // =========================
 // START GAME (HOST)
 // =========================
@@ -353,6 +1037,46 @@ if (startBtn) {
   };
 }
 
+// =========================
+// HOST CONTROLS
+// =========================
+function hostAction(event, payload = {}) {
+  socket.emit(event, { roomCode: myRoomCode, ...payload }, (res) => {
+    if (res?.error) alert(res.error);
+  });
+}
+
+el("addBotBtn").onclick = () => {
+  hostAction("add_bot", {
+    strategy: el("botStrategyInput").value,
+    chat: el("botChatInput").checked,
+  });
+};
+
+if (closeRoomBtn) {
+  closeRoomBtn.onclick = () => {
+    if (confirm("Close this room for everyone?")) hostAction("close_room");
+  };
+}
+if (playAgainBtn) playAgainBtn.onclick = () => hostAction("play_again");
+if (pauseBtn) pauseBtn.onclick = () => hostAction("pause_game");
+if (resumeBtn) resumeBtn.onclick = () => hostAction("resume_game");
+if (skipBtn) skipBtn.onclick = () => hostAction("skip_phase");
+if (addTimeBtn) addTimeBtn.onclick = () => hostAction("adjust_timer", { seconds: 30 });
+if (removeTimeBtn) removeTimeBtn.onclick = () => hostAction("adjust_timer", { seconds: -30 });
+
+// =========================
+// SAVE SETTINGS (HOST)
+// =========================
+if (saveSettingsBtn) {
+  saveSettingsBtn.onclick = () => {
+    socket.emit("update_settings", { roomCode: myRoomCode, settings: readSettingsForm() }, (res) => {
+      if (res?.error) alert(res.error);
+      else alert("Settings saved.");
+    });
+  };
+}
+
 // =========================
 // EVENTS FROM SERVER
 // =========================
@@ -360,41 +1084,150 @@ socket.on("room_state", (state) => {
   renderState(state);
 });
 
-socket.on("your_role", ({ role }) => {
+function applyRole(role, info) {
   myRole = role;
-  if (myRoleEl) myRoleEl.innerText = role;
+  myRoleInfo = info;
+  if (myRoleEl) myRoleEl.innerText = `${role} (${info.team}): ${info.description}`;
 
-  // Mafia chat visible only for mafia
-  show(mafiaChatBox, myRole === "MAFIA");
-});
+  // Mafia chat visible only for the mafia team
+  show(mafiaChatBox, info.team === "MAFIA");
+}
 
-socket.on("mafia_team", ({ mafiaNames }) => {
+function showMafiaTeam(mafiaNames) {
   // Show mafia list only to mafia player
   if (detectiveResultEl) {
     detectiveResultEl.innerText = "Mafia team: " + mafiaNames.join(", ");
   }
+}
+
+socket.on("your_role", ({ role, info }) => applyRole(role, info));
+
+socket.on("mafia_team", ({ mafiaNames }) => showMafiaTeam(mafiaNames));
+
+function renderDetectiveHistory() {
+  if (!detectiveResultEl || !detectiveHistory.length) return;
+  detectiveResultEl.innerText =
+    "Detective results:\n" +
+    detectiveHistory.map((r) => `Round ${r.round}: ${r.targetName} = ${r.result}`).join("\n");
+}
+
+socket.on("detective_result", (entry) => {
+  detectiveHistory.push(entry);
+  renderDetectiveHistory();
 });
 
-socket.on("detective_result", ({ targetName, result }) => {
-  if (detectiveResultEl) {
-    detectiveResultEl.innerText = `Detective result: ${targetName} = ${result}`;
-  }
+// After restore_session: rebuild every private panel in one go
+socket.on("session_snapshot", (snapshot) => {
+  if (snapshot.role) applyRole(snapshot.role, snapshot.info);
+  if (snapshot.mafiaNames) showMafiaTeam(snapshot.mafiaNames);
+
+  detectiveHistory = snapshot.investigations || [];
+  renderDetectiveHistory();
+
+  myChoices = { ...emptyChoices(), ...snapshot.choices };
+
+  // Whispers go into the public panel, in time order
+  const publicLines = [...snapshot.chat.PUBLIC, ...(snapshot.chat.WHISPER || [])];
+  rebuildChat(publicChatMessages, publicLines.sort((a, b) => a.time.localeCompare(b.time)));
+  rebuildChat(mafiaChatMessages, snapshot.chat.MAFIA || []);
+  rebuildChat(deadChatMessages, snapshot.chat.DEAD || []);
+
+  if (lastState) renderActionUI(lastState);
 });
 
 // Chat receive events
-socket.on("public_chat_message", ({ senderName, message, time }) => {
-  addChatMessage(publicChatMessages, senderName, message, time);
+socket.on("public_chat_message", (m) => addChatMessage(publicChatMessages, m));
+socket.on("whisper_message", (m) => addChatMessage(publicChatMessages, m));
+socket.on("mafia_chat_message", (m) => addChatMessage(mafiaChatMessages, m));
+socket.on("dead_chat_message", (m) => addChatMessage(deadChatMessages, m));
+
+// Host deleted a message: show the redaction wherever we have it
+socket.on("chat_message_deleted", ({ id }) => {
+  document.querySelectorAll(`.chatMsg[data-id="${id}"]`).forEach((div) => {
+    div.classList.add("redacted");
+    div.querySelector(".chatText").textContent = REDACTED_TEXT;
+    div.querySelector("button")?.remove();
+  });
 });
 
-socket.on("mafia_chat_message", ({ senderName, message, time }) => {
-  addChatMessage(mafiaChatMessages, senderName, message, time);
+// Host moderator panel: every role, connection and live choice
+socket.on("host_state", (hs) => {
+  if (seedInput && hs.settingsSeed !== lastSettingsSeed) {
+    lastSettingsSeed = hs.settingsSeed;
+    seedInput.value = hs.settingsSeed ?? "";
+  }
+
+  if (moderatorPlayersEl) {
+    moderatorPlayersEl.innerHTML = "";
+    hs.players.forEach((p) => {
+      const div = document.createElement("div");
+      div.className = "player";
+      const status = p.removed ? "REMOVED" : p.alive ? "ALIVE" : "DEAD";
+      const idle = p.lastActionAt
+        ? ` — last action ${secondsToMMSS(Math.floor(-realMsUntil(p.lastActionAt) / 1000))} ago`
+        : "";
+      div.innerText =
+        `${p.name} — ${p.role} — ${status} — ${p.connected ? "online" : "offline"}` + idle;
+      moderatorPlayersEl.appendChild(div);
+    });
+  }
+
+  if (!moderatorTextEl) return;
+  const line = (a) => `${a.actor} (${a.role}) -> ${a.target}`;
+  const section = (title, items, fmt = line) =>
+    items.length ? `${title}: ${items.map(fmt).join(", ")}` : "";
+  const check = (e) =>
+    `R${e.round} ${e.detective}: ${e.targetName} = ${e.result}` + (e.delivered ? "" : " (pending)");
+
+  moderatorTextEl.innerText = [
+    hs.seed !== null ? `Seed: ${hs.seed}` : "",
+    section("Day votes", hs.dayVotes, (v) => line(v) + (v.locked ? " (locked)" : "")),
+    section("Mafia votes", hs.mafiaVotes),
+    section("Night picks", hs.nightActions, (a) => `${line(a)} [${a.type}]`),
+    section("Day actions", hs.dayActions),
+    section("Detective checks", hs.investigations, check),
+  ]
+    .filter(Boolean)
+    .join("\n");
+});
+
+// Roles + choices as text lines (omniscient / spectator views)
+function omniscientLines({ players, nightActions, dayActions, dayVotes }) {
+  const line = (a) => `${a.actor} (${a.role}) -> ${a.target}`;
+  return [
+    "Roles: " + players.map((p) => `${p.name}=${p.role}${p.alive ? "" : " (dead)"}`).join(", "),
+    nightActions.length ? "Night: " + nightActions.map(line).join(", ") : "",
+    dayActions.length ? "Day actions: " + dayActions.map(line).join(", ") : "",
+    dayVotes.length ? "Votes: " + dayVotes.map(line).join(", ") : "",
+  ].filter(Boolean);
+}
+
+// Graveyard omniscient view (room rule): all roles + live choices
+socket.on("omniscient_state", (state) => {
+  show(omniscientBox, true);
+  if (omniscientTextEl) omniscientTextEl.innerText = omniscientLines(state).join("\n");
+});
+
+// Spectator view: same info + mafia (and graveyard) chat, sent with the room's delay
+socket.on("spectator_state", (feed) => {
+  if (!spectatorTextEl) return;
+
+  const asOf = new Date(feed.asOf).toLocaleTimeString();
+  const line = (tag) => (m) => `[${tag}] ${m.senderName}: ${m.redacted ? REDACTED_TEXT : m.message}`;
+  const chat = [...feed.mafiaChat.map(line("Mafia")), ...(feed.deadChat || []).map(line("Graveyard"))];
+  spectatorTextEl.innerText = [`As of ${asOf}`, ...omniscientLines(feed), ...chat].join("\n");
 });
 
-socket.on("game_over", ({ winner, finalRoles }) => {
+socket.on("game_over", ({ factions, winners, finalRoles }) => {
   show(finalBox, true);
 
   const winnerText = el("winnerText");
-  if (winnerText) winnerText.innerText = "Winner: " + winner;
+  if (winnerText) {
+    winnerText.innerText = factions.length
+      ? `Winners: ${factions.map((f) => f.label).join(" + ")}`
+      : "No winner: no one survived.";
+  }
+  const winnerNames = new Set(winners.map((w) => w.name));
 
   const box = el("finalRoles");
   if (!box) return;
@@ -403,11 +1236,61 @@ socket.on("game_over", ({ winner, finalRoles }) => {
   finalRoles.forEach((p) => {
     const div = document.createElement("div");
     div.className = "player";
-    div.innerHTML = `<b>${p.name}</b> — ${p.role} — ${p.alive ? "ALIVE" : "DEAD"}`;
+    div.append(
+      textEl("b", p.name),
+      ` — ${p.role} — ${p.alive ? "ALIVE" : "DEAD"}` + (winnerNames.has(p.name) ? " — WINNER" : "")
+    );
     box.appendChild(div);
   });
+
+  loadTimeline();
 });
 
+// =========================
+// POST-GAME TIMELINE
+// =========================
+function loadTimeline() {
+  const base = `/api/rooms/${encodeURIComponent(myRoomCode)}/log`;
+  const jsonLink = el("logJsonLink");
+  const textLink = el("logTextLink");
+  if (jsonLink) jsonLink.href = base;
+  if (textLink) textLink.href = base + "?format=text";
+
+  socket.emit("get_game_log", { roomCode: myRoomCode }, (res) => {
+    if (res?.error) {
+      const box = el("timeline");
+      if (box) box.innerText = `Game log unavailable: ${res.error}`;
+      return;
+    }
+    renderTimeline(res.log);
+  });
+}
+
+function renderTimeline(log) {
+  const box = el("timeline");
+  if (!box) return;
+
+  box.innerHTML = "";
+  let round = null;
+
+  log.forEach((e) => {
+    // Skip chat in the timeline (it is in the export)
+    if (e.type === "CHAT") return;
+
+    if (e.round !== round) {
+      round = e.round;
+      const h = document.createElement("h4");
+      h.innerText = `Round ${round}`;
+      box.appendChild(h);
+    }
+
+    const div = document.createElement("div");
+    div.className = "timelineEntry";
+    div.innerText = `${new Date(e.time).toLocaleTimeString()} — ${e.text}`;
+    box.appendChild(div);
+  });
+}
+
 socket.on("room_closed", ({ message }) => {
   alert(message);
 
@@ -418,6 +1301,13 @@ socket.on("room_closed", ({ message }) => {
   location.reload();
 });
 
+// Seat restored in another tab / device: stay disconnected here
+// (the saved token now belongs to the new session, reconnecting would take it back)
+socket.on("session_taken_over", ({ message }) => {
+  socket.disconnect();
+  alert(message);
+});
+
 // =========================
 // AUTO RESTORE SESSION ON REFRESH
 // =========================
@@ -436,7 +1326,11 @@ socket.on("connect", () => {
       return;
     }
 
+    // Tokens are rotated on every restore
+    if (res.token) localStorage.setItem(LS_TOKEN, res.token);
+
     myRoomCode = savedRoom;
+    amSpectator = res.type === "SPECTATOR";
     console.log("Session restored for room:", savedRoom);
   });
 });
@@ -1,57 +1,230 @@
+const crypto = require("crypto");
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
+const { createRoomStore } = require("./lib/roomStore");
+const { logEvent: appendLog, redactChat, formatLogText } = require("./lib/gameLog");
+const { NO_LYNCH, TIE_RULES, tallyVotes, resolveVotes } = require("./lib/voting");
+const {
+  ROLES,
+  ACTION_PRIORITY,
+  roleDef,
+  factionOf,
+  roleName,
+  roleAction,
+  investigationResult,
+  isMafia,
+  publicRoleInfo,
+} = require("./lib/roles");
+const { FACTIONS, factionDef, evaluateWin } = require("./lib/factions");
+const { BOT_STRATEGIES, botStrategy, createBotSocket, normalizeScript } = require("./lib/bots");
+const { systemClock, scaledClock } = require("./lib/clock");
+const { MAX_SEED, seededRandom, makeSeed } = require("./lib/random");
+const { cleanName, cleanMessage, checkRate } = require("./lib/validation");
+const { WORD_MAX, maskWords, findMentions } = require("./lib/chat");
 
 /**
  * ==========================================================
  * Mafia Game Rules (FINAL + Refresh Reconnect + Full Day Detective)
  * ==========================================================
  *
- * Roles:
- * - TOWN
- * - MAFIA
- * - DOCTOR
- * - DETECTIVE
+ * Roles (see lib/roles.js for the registry):
+ * - TOWN, MAFIA, DOCTOR, DETECTIVE
+ * - Optional: GODFATHER (reads NOT MAFIA), VIGILANTE (Sheriff, shoots at
+ *   night), BODYGUARD (dies in place of guarded target), ESCORT
+ *   (roleblocks), MAYOR (double vote), JESTER (wins if lynched),
+ *   SERIAL_KILLER (kills at night, wins as last one standing)
+ * - Every role action goes through role_action; night actions resolve
+ *   in priority order: block => protect/guard => kills
+ *
+ * Win conditions (see lib/factions.js):
+ * - Town: no Mafia / Serial Killer alive
+ * - Mafia: at least half of the living, no Serial Killer
+ * - Serial Killer: alone or with one other player left
+ * - Jester: wins alongside whoever ends the game once lynched
+ * - game_over lists every winning faction and player
  *
  * Host/Admin:
  * - Creates room and gets room code
  * - Host is NOT a player (no role, no vote, cannot die)
  *
- * Day:
+ * Day (default timers):
  * - Discussion: 12 minutes
  * - Voting: 3 minutes (tie => no elimination)
  *
- * Night:
+ * Night (default timers):
  * - Sleep: 1 minute
  * - Doctor protects: 2 minutes
  * - Mafia kills: 3 minutes (mafia vote, majority wins, tie => no kill)
  * - Execution: 3 minutes (system resolves kill)
  * - Announcement: 15 seconds
  *
+ * Trial day flow (optional room rule, dayFlow = TRIAL):
+ * - During DAY_DISCUSSION players nominate suspects, a nomination
+ *   needs a second from another player
+ * - Each seconded nominee (up to maxTrials) gets a DEFENSE phase
+ *   where only they can post in public chat
+ * - Then TRIAL_VOTE: guilty / innocent (more guilty => eliminated)
+ * - Replaces the open DAY_VOTING when enabled
+ *
+ * Early advance (optional room rule):
+ * - DOCTOR / MAFIA / DAY_VOTING end as soon as every eligible alive
+ *   player has acted, or a strict majority already decides the result
+ * - SLEEP / EXECUTION timers can be set to 0 to drop those phases
+ *
+ * Day voting options:
+ * - Open voting: live tally (who votes whom) in room_state
+ * - voteChange: FREE (change anytime), LOCK_IN (change until locked in),
+ *   FINAL (first vote counts)
+ * - allowUnvote: take a vote back (not after lock / in FINAL)
+ * - Result announcement includes the final vote breakdown
+ * - Tie rules (day / night): no elimination, runoff revote (day only,
+ *   DAY_RUNOFF), random pick among tied, strict majority required
+ * - Optional "No lynch" ballot
+ *
+ * Host moderation (during the game):
+ * - host_state (host only): all roles, connection status, live day
+ *   votes, mafia votes, night picks and detective checks
+ * - Pause / resume (remaining time is frozen on the room)
+ * - Skip to next phase
+ * - Add or remove time from the current phase
+ *
+ * Presence / AFK:
+ * - room_state players carry connected, disconnectedSince; the exact
+ *   lastActionAt (public events only) is in host_state
+ * - afkSkipNight: night phases do not wait for disconnected actors
+ *   (a night phase with only disconnected actors is skipped)
+ * - afkModkillPhases: N phases in a row without the expected vote /
+ *   action => modkill (only phases that ran their full timer count;
+ *   applied after the day vote / night result)
+ *
+ * Substitution:
+ * - issue_substitute (host): invite code for a player's seat
+ * - join_as_substitute: the new person takes the seat under their own
+ *   name with a new token (old token revoked, old socket dropped) and
+ *   inherits role, alive state, private history and mafia team
+ * - Public chat and the log announce "X was replaced by Y"
+ *
+ * Kick / ban (host):
+ * - Lobby: player is removed from the room
+ * - In game: player is eliminated (modkill, role revealed), their votes
+ *   and votes against them are cleared, win is checked
+ * - Kicked client gets room_closed, token is revoked
+ * - Ban also blocks the token and the name for the room's lifetime
+ *
+ * Room lifecycle:
+ * - Host can close the room (everyone gets room_closed)
+ * - Rooms idle for ROOM_IDLE_MINUTES, or with no connected sockets
+ *   for ROOM_EMPTY_MINUTES, are closed automatically (a running game,
+ *   paused or not, is never idle)
+ * - play_again (host, after game over) returns the room to LOBBY
+ *   with the same players and tokens
+ *
+ * Game log:
+ * - Every phase change, action, result and chat message is logged
+ *   per room with a timestamp
+ * - Available after game over: get_game_log (socket) and
+ *   GET /api/rooms/:code/log (?format=text for plain text)
+ *
+ * Room settings:
+ * - Host can change timers, mafia count, Doctor/Detective and
+ *   minimum players while in LOBBY (update_settings)
+ * - Sent to everyone in room_state
+ *
+ * Doctor (room rule variants):
+ * - doctorSelfProtect: ALWAYS | ONCE (per game) | NEVER
+ * - doctorRepeatTarget: false => not the same player two nights in a row
+ *
  * Detective:
- * - FULL DAY (DAY_DISCUSSION + DAY_VOTING)
- * - Can investigate ONLY 1 person per day
- * - Private result: "MAFIA" or "NOT MAFIA"
+ * - detectivePhase DAY: FULL DAY (DAY_DISCUSSION through day voting / trial)
+ *   or NIGHT (with the Doctor phase)
+ * - Can investigate ONLY 1 person per day / night
+ * - detectiveResult: ALIGNMENT ("MAFIA" / "NOT MAFIA") or ROLE (exact role)
+ * - detectiveDelivery: IMMEDIATE or DAWN (with the night result), for
+ *   day checks only; night checks always resolve with the night (an
+ *   Escort can block them), so the setting has no effect with NIGHT
+ * - Result history is kept server-side and resent on restore_session
  *
  * Chat:
  * - Public Chat: only alive players can send (everyone can read)
  * - Mafia Chat: only alive mafia can send/read
+ * - Graveyard Chat: dead players, the host and spectators (see
+ *   Spectators for deadOmniscient)
+ * - Messages carry an id, an ISO time (clients show their locale) and
+ *   the names they @mention (highlighted for those players)
+ * - whispers (room rule): alive players whisper to each other during
+ *   the day; OFF | PRIVATE | PUBLIC (room sees "A whispered to B")
+ * - Host moderation: mute_player (no chat at all), delete_message
+ *   (everyone gets chat_message_deleted, the log keeps a redaction),
+ *   wordFilter setting (listed words are masked with *)
+ * - deadOmniscient: dead players also get omniscient_state
+ *   (all roles + live night actions), never sent to living players
+ *
+ * Spectators (allowSpectators):
+ * - join_as_spectator (or join_room after start), own token,
+ *   restore_session works like for players
+ * - Read-only room_state, listed apart from players, never vote or
+ *   count toward win checks
+ * - spectator_state (roles, night choices, mafia chat) is sent
+ *   spectatorDelay seconds late (null => never, until game over)
+ * - With deadOmniscient (and a delay) spectators leave live graveyard
+ *   chat during the game; it comes with spectator_state instead
+ *
+ * Bots (host, LOBBY):
+ * - add_bot { strategy: random | heuristic | scripted, chat, script }
+ *   adds a server-side player that acts through the same socket
+ *   handlers as a browser (see lib/bots.js)
+ * - Bots act a few seconds into each phase (BOT_DELAY_MS, max delay)
+ * - Kick removes a bot; a substitute can take over a bot's seat
+ *
+ * Input limits (lib/validation.js):
+ * - Names: up to 20 letters, digits, spaces and - _ . ' (any script),
+ *   unique per room (case-insensitive), "System" is reserved
+ * - Chat messages: up to 300 characters, control characters and
+ *   bidi overrides are stripped
+ * - Per-socket rate limits: chat messages and game actions (votes,
+ *   role actions, joining) answer with an error when sent too fast
+ * - The client renders names and messages as text, never HTML
  *
  * Refresh reconnect:
- * - Host and players get token
+ * - Host and players get token (crypto random)
  * - token stored in browser localStorage
- * - restore_session reconnects same player/host after refresh
+ * - restore_session reconnects same player/host after refresh and
+ *   rotates the token (new one in the reply)
+ * - One socket per seat: restoring from another tab / device sends
+ *   session_taken_over to the old socket, which leaves the room
+ * - Tokens expire TOKEN_TTL_HOURS (default 24) after being issued or
+ *   after the seat last disconnected
+ * - Each socket is bound to its room and role (HOST / PLAYER /
+ *   SPECTATOR) on the server; in-room events ignore the roomCode sent
+ * - session_snapshot replays private state: role, mafia team, detective
+ *   results, own vote / night choice, chat backlog per readable channel
+ *
+ * Server restart:
+ * - Rooms are saved to a room store on every change
+ *   (ROOM_STORE=memory | file, ROOM_STORE_DIR for file store)
+ * - On boot rooms are loaded back and phase timers resume
+ *   from the saved phaseEndsAt
+ *
+ * Randomness and time (replayable games):
+ * - Every game has a seed: the room's seed setting (host, or GAME_SEED
+ *   for test servers), else a new random one; it is in the game log
+ *   (GAME_START) and host_state, never in room_state (it would reveal
+ *   the role shuffle)
+ * - Role shuffle, random tie breaks and bot choices use the room's
+ *   seeded generator (lib/random.js), its state is saved with the room
+ * - Time comes from a pluggable clock (lib/clock.js); CLOCK_SPEED=10
+ *   runs phases 10x faster, room_state carries serverNow + clockSpeed
+ *   so clients count down in real seconds
  */
 
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server);
-
-app.use(express.static("public"));
-
+// Default phase durations (seconds), copied into each room's settings
 const SETTINGS = {
   DAY_DISCUSSION: 12 * 60,
   DAY_VOTING: 3 * 60,
+  DAY_RUNOFF: 60,
+  DEFENSE: 60,
+  TRIAL_VOTE: 60,
   SLEEP: 60,
   DOCTOR: 2 * 60,
   MAFIA: 3 * 60,
@@ -59,17 +232,13 @@ const SETTINGS = {
   ANNOUNCEMENT: 15,
 };
 
-const ROLES = {
-  TOWN: "TOWN",
-  MAFIA: "MAFIA",
-  DOCTOR: "DOCTOR",
-  DETECTIVE: "DETECTIVE",
-};
-
 const PHASES = {
   LOBBY: "LOBBY",
   DAY_DISCUSSION: "DAY_DISCUSSION",
   DAY_VOTING: "DAY_VOTING",
+  DAY_RUNOFF: "DAY_RUNOFF",
+  DEFENSE: "DEFENSE",
+  TRIAL_VOTE: "TRIAL_VOTE",
   SLEEP: "SLEEP",
   DOCTOR: "DOCTOR",
   MAFIA: "MAFIA",
@@ -78,665 +247,2939 @@ const PHASES = {
   ENDED: "ENDED",
 };
 
-// In-memory rooms
-const rooms = new Map();
+// Fixed room seed for test servers (GAME_SEED), else a new one per game
+const DEFAULT_SEED = /^\d+$/.test(process.env.GAME_SEED || "")
+  ? Number(process.env.GAME_SEED) % (MAX_SEED + 1)
+  : null;
 
-function makeRoomCode() {
-  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
-  let code = "";
-  for (let i = 0; i < 5; i++) code += chars[Math.floor(Math.random() * chars.length)];
-  return code;
-}
+/**
+ * Validation rules for room settings
+ * timers: every key of SETTINGS, in seconds
+ */
+const TIMER_LIMITS = { min: 10, max: 60 * 60 };
+
+// Optional roles: max count per room (GODFATHER takes a mafia slot)
+const EXTRA_ROLE_LIMITS = {
+  GODFATHER: 1,
+  VIGILANTE: 2,
+  BODYGUARD: 2,
+  ESCORT: 2,
+  MAYOR: 1,
+  JESTER: 1,
+  SERIAL_KILLER: 1,
+};
 
-function makeToken() {
-  return (
-    Math.random().toString(36).slice(2) +
-    "-" +
-    Date.now().toString(36) +
-    "-" +
-    Math.random().toString(36).slice(2)
-  );
-}
+// Idle phases that may be set to 0 seconds (dropped)
+const SKIPPABLE_PHASES = ["SLEEP", "EXECUTION"];
+
+const SETTING_RULES = {
+  mafiaCount: { type: "int", min: 1, max: 10, nullable: true }, // null => based on player count
+  doctor: { type: "bool" },
+  detective: { type: "bool" },
+  minPlayers: { type: "int", min: 3, max: 30 },
+  earlyAdvance: { type: "bool" },
+  openVoting: { type: "bool" },
+  voteChange: { type: "enum", values: ["FREE", "LOCK_IN", "FINAL"] },
+  allowUnvote: { type: "bool" },
+  dayTieRule: { type: "enum", values: TIE_RULES },
+  nightTieRule: { type: "enum", values: TIE_RULES.filter((r) => r !== "RUNOFF") },
+  allowNoLynch: { type: "bool" },
+  dayFlow: { type: "enum", values: ["OPEN", "TRIAL"] },
+  maxTrials: { type: "int", min: 1, max: 5 },
+  doctorSelfProtect: { type: "enum", values: ["ALWAYS", "ONCE", "NEVER"] },
+  doctorRepeatTarget: { type: "bool" }, // same target on consecutive nights
+  detectivePhase: { type: "enum", values: ["DAY", "NIGHT"] },
+  detectiveResult: { type: "enum", values: ["ALIGNMENT", "ROLE"] },
+  detectiveDelivery: { type: "enum", values: ["IMMEDIATE", "DAWN"] }, // day checks only
+  allowSpectators: { type: "bool" }, // join_as_spectator, join_room after start => spectator
+  spectatorDelay: { type: "int", min: 0, max: 600, nullable: true }, // null => never see private info
+  afkSkipNight: { type: "bool" }, // disconnected players' night actions are not waited for
+  afkModkillPhases: { type: "int", min: 1, max: 10, nullable: true }, // null => never
+  deadOmniscient: { type: "bool" }, // graveyard sees all roles and night actions
+  seed: { type: "int", min: 0, max: MAX_SEED, nullable: true }, // null => new seed every game
+  whispers: { type: "enum", values: ["OFF", "PRIVATE", "PUBLIC"] }, // PUBLIC => "A whispered to B"
+  wordFilter: { type: "words", max: 50 }, // masked in every chat, [] => off
+};
 
-function getRoom(roomCode) {
-  return rooms.get(roomCode);
+function defaultRoomSettings() {
+  return {
+    timers: { ...SETTINGS },
+    extraRoles: Object.fromEntries(Object.keys(EXTRA_ROLE_LIMITS).map((r) => [r, 0])),
+    mafiaCount: null,
+    doctor: true,
+    detective: true,
+    minPlayers: 6,
+    earlyAdvance: false,
+    openVoting: false,
+    voteChange: "FREE",
+    allowUnvote: false,
+    dayTieRule: "NO_ELIMINATION",
+    nightTieRule: "NO_ELIMINATION",
+    allowNoLynch: false,
+    dayFlow: "OPEN",
+    maxTrials: 2,
+    doctorSelfProtect: "ALWAYS",
+    doctorRepeatTarget: true,
+    detectivePhase: "DAY",
+    detectiveResult: "ALIGNMENT",
+    detectiveDelivery: "IMMEDIATE",
+    allowSpectators: false,
+    spectatorDelay: 60,
+    deadOmniscient: false,
+    afkSkipNight: false,
+    afkModkillPhases: null,
+    seed: DEFAULT_SEED,
+    whispers: "OFF",
+    wordFilter: [],
+  };
 }
 
-function alivePlayers(room) {
-  return room.players.filter((p) => p.alive);
-}
+// Automatic room cleanup
+const ROOM_IDLE_MS = Number(process.env.ROOM_IDLE_MINUTES || 60) * 60 * 1000;
+const ROOM_EMPTY_MS = Number(process.env.ROOM_EMPTY_MINUTES || 10) * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 1000;
 
-function aliveCounts(room) {
-  const alive = alivePlayers(room);
-  const mafia = alive.filter((p) => p.role === ROLES.MAFIA).length;
-  const town = alive.length - mafia;
-  return { mafia, town };
-}
+// Session tokens expire this long after being issued or after their seat disconnects
+const TOKEN_TTL_MS = Number(process.env.TOKEN_TTL_HOURS || 24) * 60 * 60 * 1000;
 
-function checkWin(room) {
-  const { mafia, town } = aliveCounts(room);
-  if (mafia === 0) return "TOWN";
-  if (mafia >= town) return "MAFIA";
-  return null;
-}
+// Events that never touch a player's lastActionAt: when someone acts at
+// night or in mafia chat gives their role away
+const PRIVATE_EVENTS = [
+  "role_action",
+  "doctor_protect",
+  "mafia_vote_kill",
+  "detective_check",
+  "mafia_chat",
+  "whisper",
+];
+
+// Bots act within this many ms of a phase start
+const BOT_DELAY_MS = Number(process.env.BOT_DELAY_MS || 3000);
 
 /**
- * Public state sent to everyone
- * Alive roles hidden, dead roles revealed
+ * ==========================================================
+ * GAME SERVER
+ * ==========================================================
+ *
+ * createServer(options) builds the HTTP app, socket.io server and
+ * game state without listening, so tests (or another process) can
+ * drive it. Every option is optional:
+ * - clock:  time and timers (lib/clock.js), e.g. a fake clock in tests
+ * - random: () => number in [0, 1), used for room codes, role shuffle,
+ *           random tie breaks and bots (tokens always use crypto)
+ * - io:     emitter used for every broadcast (default: a socket.io
+ *           Server on the HTTP server); needs to / in / on / sockets
+ * - store:  room store (default: ROOM_STORE / ROOM_STORE_DIR)
+ * - botDelayMs, tokenTtlMs, log
+ *
+ * Returns { app, server, io, rooms, handleConnection, listen, close }
  */
-function emitRoomState(roomCode) {
-  const room = getRoom(roomCode);
-  if (!room) return;
-
-  const publicPlayers = room.players.map((p) => ({
-    id: p.id,
-    name: p.name,
-    alive: p.alive,
-    revealedRole: p.alive ? null : p.role,
-  }));
-
-  io.to(roomCode).emit("room_state", {
-    roomCode,
-    hostId: room.hostId,
-    phase: room.phase,
-    phaseEndsAt: room.phaseEndsAt,
-    round: room.round,
-    announcement: room.announcement,
-    players: publicPlayers,
-  });
-}
+function createServer(options = {}) {
+  const clock = options.clock || systemClock;
+  const random = options.random || Math.random;
+  const botDelayMs = options.botDelayMs ?? BOT_DELAY_MS;
+  const tokenTtlMs = options.tokenTtlMs ?? TOKEN_TTL_MS;
+  const log = options.log || console.log;
+
+  // Game log entries are stamped with the game clock
+  const logEvent = (room, type, details) => appendLog(room, type, details, clock.now());
 
-function sendPrivateRoles(room) {
-  const mafiaNames = room.players
-    .filter((p) => p.role === ROLES.MAFIA)
-    .map((p) => p.name);
+  const app = express();
+  const server = http.createServer(app);
+  const io = options.io || new Server(server);
 
-  room.players.forEach((p) => {
-    io.to(p.id).emit("your_role", { role: p.role });
+  app.use(express.static("public"));
 
-    if (p.role === ROLES.MAFIA) {
-      io.to(p.id).emit("mafia_team", { mafiaNames });
+  /**
+   * Game log export (after game over)
+   * ?format=text => plain text, otherwise JSON
+   */
+  app.get("/api/rooms/:code/log", (req, res) => {
+    const room = getRoom(String(req.params.code).toUpperCase());
+
+    if (!room) return res.status(404).json({ error: "Room not found." });
+    if (room.phase !== PHASES.ENDED) {
+      return res.status(403).json({ error: "Log is available after the game ends." });
     }
+
+    if (req.query.format === "text") return res.type("text/plain").send(formatLogText(room.log));
+    res.json({ roomCode: room.roomCode, log: room.log });
   });
-}
 
-/**
- * Start phase + schedule next phase
- */
-function startPhase(roomCode, phase, seconds) {
-  const room = getRoom(roomCode);
-  if (!room) return;
+  // In-memory rooms (working set), persisted through the room store
+  const rooms = new Map();
+  const store =
+    options.store || createRoomStore(process.env.ROOM_STORE, { dir: process.env.ROOM_STORE_DIR });
 
-  room.phase = phase;
-  room.phaseEndsAt = Date.now() + seconds * 1000;
+  function makeRoomCode() {
+    const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+    let code = "";
+    for (let i = 0; i < 5; i++) code += chars[Math.floor(random() * chars.length)];
+    return code;
+  }
 
-  // Reset phase data
-  if (phase === PHASES.DAY_VOTING) room.dayVotes = {};
-  if (phase === PHASES.DOCTOR) room.night.doctorTargetId = null;
-  if (phase === PHASES.MAFIA) room.night.mafiaVotes = {};
+  function makeToken() {
+    return crypto.randomBytes(24).toString("base64url");
+  }
 
-  // Reset detective usage at start of each day
-  if (phase === PHASES.DAY_DISCUSSION) {
-    room.dayDetectiveUsed = false;
-    room.dayDetectiveTargetId = null;
+  /**
+   * New session token on seat[key] (player / spectator token, room hostToken)
+   * Replaces the old one, valid for tokenTtlMs
+   */
+  function issueToken(seat, key = "token") {
+    seat[key] = makeToken();
+    seat[`${key}ExpiresAt`] = clock.now() + tokenTtlMs;
+    return seat[key];
   }
 
-  emitRoomState(roomCode);
+  // Rooms saved before tokens expired have no expiry
+  function tokenExpired(seat, key = "token") {
+    const expiresAt = seat[`${key}ExpiresAt`];
+    return expiresAt != null && clock.now() > expiresAt;
+  }
 
-  if (room.timer) clearTimeout(room.timer);
-  room.timer = setTimeout(() => advancePhase(roomCode), seconds * 1000);
-}
+  function formatDuration(sec) {
+    if (sec % 60 !== 0) return `${sec} seconds`;
+    const minutes = sec / 60;
+    return minutes === 1 ? "1 minute" : `${minutes} minutes`;
+  }
 
-/**
- * Assign roles:
- * - Always 1 Doctor + 1 Detective
- * - Mafia count depends on player count
- */
-function assignRoles(room) {
-  const n = room.players.length;
+  // Room's seeded generator (rooms saved before seeding use the server's)
+  function roomRandom(room) {
+    return room.rngState == null ? random : seededRandom(room);
+  }
 
-  let mafiaCount = 2;
-  if (n >= 9 && n <= 12) mafiaCount = 3;
-  if (n >= 13) mafiaCount = 4;
+  function getRoom(roomCode) {
+    return rooms.get(roomCode);
+  }
 
-  const roles = [];
-  roles.push(ROLES.DOCTOR);
-  roles.push(ROLES.DETECTIVE);
-  for (let i = 0; i < mafiaCount; i++) roles.push(ROLES.MAFIA);
-  while (roles.length < n) roles.push(ROLES.TOWN);
+  /**
+   * Set announcement for a game result and log it
+   */
+  function announce(room, message) {
+    room.announcement = message;
+    logEvent(room, "RESULT", { message });
+  }
 
-  // Shuffle roles
-  for (let i = roles.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [roles[i], roles[j]] = [roles[j], roles[i]];
+  function saveRoom(room) {
+    try {
+      store.save(room);
+    } catch (err) {
+      log("Failed to save room:", room.roomCode, err.message);
+    }
   }
 
-  room.players.forEach((p, idx) => {
-    p.role = roles[idx];
-    p.alive = true;
-  });
-}
+  function alivePlayers(room) {
+    return room.players.filter((p) => p.alive);
+  }
 
-/**
- * Resolve day voting
- */
-function resolveDayVoting(roomCode) {
-  const room = getRoom(roomCode);
-  if (!room) return;
+  // null while the game goes on, else { factions, winners }
+  function checkWin(room) {
+    return evaluateWin(room.players);
+  }
 
-  const alive = alivePlayers(room);
-  const counts = new Map();
+  /**
+   * Check a single setting value against its rule
+   * Returns the normalized value or undefined when invalid
+   */
+  function normalizeSetting(rule, value) {
+    if (value === null && rule.nullable) return null;
 
-  for (const voterId in room.dayVotes) {
-    const targetId = room.dayVotes[voterId];
+    if (rule.type === "int") {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < rule.min || n > rule.max) return undefined;
+      return n;
+    }
 
-    const voter = alive.find((p) => p.id === voterId);
-    const target = alive.find((p) => p.id === targetId);
+    if (rule.type === "bool") {
+      return typeof value === "boolean" ? value : undefined;
+    }
 
-    if (!voter || !target) continue;
-    counts.set(targetId, (counts.get(targetId) || 0) + 1);
-  }
+    if (rule.type === "enum") {
+      return rule.values.includes(value) ? value : undefined;
+    }
 
-  let bestTargetId = null;
-  let bestCount = 0;
-  let tie = false;
+    // List of words: array or comma separated, lowercased, no duplicates
+    if (rule.type === "words") {
+      if (!Array.isArray(value) && typeof value !== "string") return undefined;
 
-  for (const [targetId, c] of counts.entries()) {
-    if (c > bestCount) {
-      bestCount = c;
-      bestTargetId = targetId;
-      tie = false;
-    } else if (c === bestCount && c > 0) {
-      tie = true;
+      const list = Array.isArray(value) ? value : value.split(",");
+      const words = [...new Set(list.map((w) => String(w).trim().toLowerCase()).filter(Boolean))];
+      if (words.length > rule.max || words.some((w) => w.length > WORD_MAX)) return undefined;
+      return words;
     }
-  }
 
-  if (!bestTargetId || bestCount === 0 || tie) {
-    room.announcement = "Voting ended: No one was eliminated (tie or no votes).";
-    return;
+    return undefined;
   }
 
-  const eliminated = room.players.find((p) => p.id === bestTargetId);
-  if (eliminated && eliminated.alive) {
-    eliminated.alive = false;
-    room.announcement = `Voting result: ${eliminated.name} eliminated. Role: ${eliminated.role}`;
-  }
+  /**
+   * Validate a (partial) settings update from host
+   * Returns { settings } with the merged result, or { error }
+   */
+  function validateSettings(input, current) {
+    if (!input || typeof input !== "object") return { error: "Invalid settings." };
 
-  const winner = checkWin(room);
-  if (winner) endGame(roomCode, winner);
-}
+    const next = { ...current, timers: { ...current.timers }, extraRoles: { ...current.extraRoles } };
 
-/**
- * Resolve mafia majority vote target
- */
-function resolveMafiaKillTarget(room) {
-  const alive = alivePlayers(room);
-  const mafiaAlive = alive.filter((p) => p.role === ROLES.MAFIA);
+    if (input.timers !== undefined) {
+      if (!input.timers || typeof input.timers !== "object") return { error: "Invalid timers." };
 
-  const counts = new Map();
+      for (const key of Object.keys(input.timers)) {
+        if (!Object.hasOwn(SETTINGS, key)) return { error: `Unknown timer: ${key}` };
 
-  for (const mafiaId in room.night.mafiaVotes) {
-    const targetId = room.night.mafiaVotes[mafiaId];
+        const min = SKIPPABLE_PHASES.includes(key) ? 0 : TIMER_LIMITS.min;
+        const sec = normalizeSetting({ type: "int", min, max: TIMER_LIMITS.max }, input.timers[key]);
+        if (sec === undefined) {
+          return { error: `${key} must be ${min}-${TIMER_LIMITS.max} seconds.` };
+        }
+        next.timers[key] = sec;
+      }
+    }
 
-    const voter = mafiaAlive.find((p) => p.id === mafiaId);
-    const target = alive.find((p) => p.id === targetId);
+    if (input.extraRoles !== undefined) {
+      if (!input.extraRoles || typeof input.extraRoles !== "object") return { error: "Invalid roles." };
 
-    if (!voter || !target) continue;
-    counts.set(targetId, (counts.get(targetId) || 0) + 1);
-  }
+      for (const role of Object.keys(input.extraRoles)) {
+        if (!Object.hasOwn(EXTRA_ROLE_LIMITS, role)) return { error: `Unknown role: ${role}` };
+
+        const count = normalizeSetting(
+          { type: "int", min: 0, max: EXTRA_ROLE_LIMITS[role] },
+          input.extraRoles[role]
+        );
+        if (count === undefined) return { error: `${role} must be 0-${EXTRA_ROLE_LIMITS[role]}.` };
+        next.extraRoles[role] = count;
+      }
+    }
+
+    for (const key of Object.keys(input)) {
+      if (key === "timers" || key === "extraRoles") continue;
 
-  let bestTargetId = null;
-  let bestCount = 0;
-  let tie = false;
+      if (!Object.hasOwn(SETTING_RULES, key)) return { error: `Unknown setting: ${key}` };
+      const rule = SETTING_RULES[key];
 
-  for (const [targetId, c] of counts.entries()) {
-    if (c > bestCount) {
-      bestCount = c;
-      bestTargetId = targetId;
-      tie = false;
-    } else if (c === bestCount && c > 0) {
-      tie = true;
+      const value = normalizeSetting(rule, input[key]);
+      if (value === undefined) return { error: `Invalid value for ${key}.` };
+      next[key] = value;
     }
-  }
 
-  if (!bestTargetId || bestCount === 0 || tie) return null;
-  return bestTargetId;
-}
+    // Mafia must start as a minority, or the game is over before it begins
+    if (next.mafiaCount !== null && next.mafiaCount * 2 >= next.minPlayers) {
+      return { error: "Too many mafia for the minimum player count." };
+    }
 
-/**
- * Resolve night kill with Doctor protection
- */
-function resolveNightKill(roomCode) {
-  const room = getRoom(roomCode);
-  if (!room) return;
+    if (next.mafiaCount !== null && next.extraRoles.GODFATHER > next.mafiaCount) {
+      return { error: "Godfather takes a mafia slot: raise the mafia count." };
+    }
 
-  const mafiaTargetId = resolveMafiaKillTarget(room);
+    if ((next.mafiaCount || 1) + specialRoleCount(next) > next.minPlayers) {
+      return { error: "Not enough players for this role setup." };
+    }
 
-  if (!mafiaTargetId) {
-    room.announcement = "Night result: Mafia did not finalize a kill. No one died.";
-    return;
+    return { settings: next };
   }
 
-  const target = room.players.find((p) => p.id === mafiaTargetId);
-  if (!target || !target.alive) {
-    room.announcement = "Night result: Invalid target. No one died.";
-    return;
+  // Non-mafia special roles from settings
+  function specialRoleCount(settings) {
+    let count = (settings.doctor ? 1 : 0) + (settings.detective ? 1 : 0);
+    for (const role in settings.extraRoles) {
+      if (role !== ROLES.GODFATHER) count += settings.extraRoles[role];
+    }
+    return count;
   }
 
-  if (room.night.doctorTargetId && room.night.doctorTargetId === mafiaTargetId) {
-    room.announcement = `Night result: ${target.name} was attacked but saved by Doctor.`;
-    return;
+  // Settings everyone may see: the seed would let players rebuild the role shuffle
+  function publicSettings(settings) {
+    const { seed, ...rest } = settings;
+    return rest;
   }
 
-  target.alive = false;
-  room.announcement = `Night result: ${target.name} was killed. Role: ${target.role}`;
-
-  const winner = checkWin(room);
-  if (winner) endGame(roomCode, winner);
-}
-
-function endGame(roomCode, winner) {
-  const room = getRoom(roomCode);
-  if (!room) return;
-
-  room.phase = PHASES.ENDED;
-  room.phaseEndsAt = null;
-
-  if (room.timer) clearTimeout(room.timer);
+  /**
+   * Public state sent to everyone
+   * Alive roles hidden, dead roles revealed
+   */
+  function emitRoomState(roomCode) {
+    const room = getRoom(roomCode);
+    if (!room) return;
 
-  room.announcement = `GAME OVER. Winner: ${winner}`;
+    saveRoom(room);
 
-  io.to(roomCode).emit("game_over", {
-    winner,
-    finalRoles: room.players.map((p) => ({
+    const publicPlayers = room.players.map((p) => ({
+      id: p.id,
       name: p.name,
-      role: p.role,
       alive: p.alive,
-    })),
-  });
+      revealedRole: p.alive ? null : p.role,
+      removed: !!p.removed,
+      connected: !!p.connected,
+      disconnectedSince: p.disconnectedSince || null,
+      bot: !!p.bot,
+      muted: !!p.muted,
+    }));
+
+    io.to(roomCode).emit("room_state", {
+      roomCode,
+      hostId: room.hostId,
+      phase: room.phase,
+      phaseEndsAt: room.phaseEndsAt,
+      serverNow: clock.now(),
+      clockSpeed: clock.speed || 1,
+      paused: room.paused,
+      pausedRemainingMs: room.pausedRemainingMs,
+      round: room.round,
+      announcement: room.announcement,
+      settings: publicSettings(room.settings),
+      votes: room.settings.openVoting && isDayVote(room) ? openVoteState(room) : null,
+      runoffCandidates: room.runoffCandidates,
+      nominations: room.nominations,
+      defendantId: room.trial?.defendantId || null,
+      verdicts: room.settings.openVoting && room.phase === PHASES.TRIAL_VOTE ? verdictTally(room) : null,
+      players: publicPlayers,
+      spectators: room.spectators.map((s) => ({ id: s.id, name: s.name })),
+    });
 
-  emitRoomState(roomCode);
-}
+    emitPrivateViews(room);
+  }
 
-/**
- * Phase flow (state machine)
- */
-function advancePhase(roomCode) {
-  const room = getRoom(roomCode);
-  if (!room) return;
-  if (room.phase === PHASES.ENDED) return;
+  /**
+   * Views with hidden info: dead players' omniscient view,
+   * host moderator view and the delayed spectator feed
+   * (also sent after private choices that do not change room_state)
+   */
+  function emitPrivateViews(room) {
+    if (room.settings.deadOmniscient && room.phase !== PHASES.LOBBY) {
+      const state = omniscientState(room);
+      graveyardIds(room, { host: false, spectators: false }).forEach((id) =>
+        io.to(id).emit("omniscient_state", state)
+      );
+    }
 
-  switch (room.phase) {
-    case PHASES.LOBBY:
-      return;
+    if (room.hostId) io.to(room.hostId).emit("host_state", hostState(room));
 
-    case PHASES.DAY_DISCUSSION:
-      startPhase(roomCode, PHASES.DAY_VOTING, SETTINGS.DAY_VOTING);
-      return;
+    queueSpectatorFeed(room);
+  }
 
-    case PHASES.DAY_VOTING:
-      resolveDayVoting(roomCode);
-      if (room.phase === PHASES.ENDED) return;
-      startPhase(roomCode, PHASES.SLEEP, SETTINGS.SLEEP);
-      return;
+  /**
+   * deadOmniscient: the graveyard knows live roles and night picks, so
+   * spectators get its chat with their delay (spectator feed), not live
+   */
+  function graveyardDelayed(room) {
+    const { deadOmniscient, spectatorDelay } = room.settings;
+    return deadOmniscient && spectatorDelay !== 0 && isRunning(room);
+  }
 
-    case PHASES.SLEEP:
-      startPhase(roomCode, PHASES.DOCTOR, SETTINGS.DOCTOR);
-      return;
+  /**
+   * Graveyard: dead players, spectators and (by default) the host
+   */
+  function graveyardIds(room, { host = true, spectators = !graveyardDelayed(room) } = {}) {
+    return [
+      host ? room.hostId : null,
+      ...room.players.filter((p) => !p.alive && !p.removed).map((p) => p.id),
+      ...(spectators ? room.spectators.map((s) => s.id) : []),
+    ].filter(Boolean);
+  }
 
-    case PHASES.DOCTOR:
-      startPhase(roomCode, PHASES.MAFIA, SETTINGS.MAFIA);
-      return;
+  /**
+   * Spectators' private view, sent spectatorDelay seconds late
+   * so it cannot be relayed to living players in time
+   */
+  function queueSpectatorFeed(room) {
+    const delay = room.settings.spectatorDelay;
+    const ended = room.phase === PHASES.ENDED;
+    if (!room.spectators.length || room.phase === PHASES.LOBBY) return;
+    if (delay === null && !ended) return;
+
+    const feed = {
+      ...omniscientState(room),
+      mafiaChat: chatBacklog(room, "MAFIA"),
+      deadChat: room.settings.deadOmniscient ? chatBacklog(room, "DEAD") : [],
+      asOf: new Date(clock.now()).toISOString(),
+    };
+    const send = () => room.spectators.forEach((s) => io.to(s.id).emit("spectator_state", feed));
 
-    case PHASES.MAFIA:
-      startPhase(roomCode, PHASES.EXECUTION, SETTINGS.EXECUTION);
-      return;
+    if (ended || !delay) return send();
 
-    case PHASES.EXECUTION:
-      resolveNightKill(roomCode);
-      if (room.phase === PHASES.ENDED) return;
-      startPhase(roomCode, PHASES.ANNOUNCEMENT, SETTINGS.ANNOUNCEMENT);
-      return;
+    const timer = clock.setTimeout(() => {
+      room.feedTimers = room.feedTimers.filter((t) => t !== timer);
+      send();
+    }, delay * 1000);
+    room.feedTimers.push(timer);
+  }
 
-    case PHASES.ANNOUNCEMENT:
-      room.round += 1;
-      startPhase(roomCode, PHASES.DAY_DISCUSSION, SETTINGS.DAY_DISCUSSION);
-      return;
+  // Phase timer and pending spectator feeds (room closed / server stopped)
+  function clearRoomTimers(room) {
+    if (room.timer) clock.clearTimeout(room.timer);
+    room.timer = null;
+    room.feedTimers.forEach((t) => clock.clearTimeout(t));
+    room.feedTimers = [];
+  }
 
-    default:
-      return;
+  /**
+   * Add a spectator (own token, restorable, never a player)
+   */
+  function addSpectator(socket, room, name) {
+    const spectator = { id: socket.id, name };
+    issueToken(spectator);
+    room.spectators.push(spectator);
+
+    bindSocket(socket, room, "SPECTATOR", spectator);
+    socket.join(room.roomCode);
+    socket.emit("session_snapshot", sessionSnapshot(room, null, { spectator: true }));
+    return spectator;
   }
-}
 
-/**
- * ==========================================================
- * SOCKET.IO EVENTS
- * ==========================================================
- */
-io.on("connection", (socket) => {
-  console.log("Connected:", socket.id);
+  // Player and spectator names are unique per room (case-insensitive)
+  function nameTaken(room, name) {
+    return [...room.players, ...room.spectators].some(
+      (p) => p.name.toLowerCase() === name.toLowerCase()
+    );
+  }
+
+  // One vote / action by name: { actor, role, target }
+  function choiceEntry(room, actorId, targetId) {
+    const actor = room.players.find((p) => p.id === actorId);
+    const target =
+      targetId === NO_LYNCH ? "No lynch" : room.players.find((p) => p.id === targetId)?.name || "?";
+    return { actor: actor?.name || "?", role: actor?.role, target };
+  }
 
   /**
-   * Restore session after refresh (Host + Players)
+   * Omniscient view for the graveyard: every role and this phase's choices
    */
-  socket.on("restore_session", ({ roomCode, token }, cb) => {
-    roomCode = String(roomCode || "").trim().toUpperCase();
-    token = String(token || "").trim();
+  function omniscientState(room) {
+    const entries = (choices) =>
+      Object.entries(choices).map(([id, targetId]) => choiceEntry(room, id, targetId));
+
+    return {
+      players: room.players.map((p) => ({ name: p.name, role: p.role, alive: p.alive })),
+      nightActions: [
+        ...entries(room.night.mafiaVotes),
+        ...Object.entries(room.night.actions).map(([id, a]) => choiceEntry(room, id, a.targetId)),
+      ],
+      dayActions: entries(room.dayActions),
+      dayVotes: entries(room.dayVotes),
+    };
+  }
 
-    const room = getRoom(roomCode);
-    if (!room) return cb?.({ error: "Room not found." });
-    if (!token) return cb?.({ error: "Invalid token." });
+  /**
+   * Moderator view (host only): roles, connection status, live votes,
+   * night picks and every detective check
+   */
+  function hostState(room) {
+    const entries = (choices) =>
+      Object.entries(choices).map(([id, targetId]) => choiceEntry(room, id, targetId));
+
+    return {
+      seed: room.seed ?? null,
+      settingsSeed: room.settings.seed,
+      players: room.players.map((p) => ({
+        id: p.id,
+        name: p.name,
+        role: p.role,
+        alive: p.alive,
+        removed: !!p.removed,
+        connected: !!p.connected,
+        lastActionAt: p.lastActionAt || null,
+      })),
+      dayVotes: Object.entries(room.dayVotes).map(([id, targetId]) => ({
+        ...choiceEntry(room, id, targetId),
+        locked: !!room.lockedVotes[id],
+      })),
+      mafiaVotes: entries(room.night.mafiaVotes),
+      nightActions: Object.entries(room.night.actions).map(([id, a]) => ({
+        ...choiceEntry(room, id, a.targetId),
+        type: a.type,
+      })),
+      dayActions: entries(room.dayActions),
+      investigations: room.players.flatMap((p) =>
+        (p.investigations || []).map((e) => ({ detective: p.name, ...e }))
+      ),
+    };
+  }
 
-    // Restore host
-    if (room.hostToken && room.hostToken === token) {
-      room.hostId = socket.id;
-      socket.join(roomCode);
-      emitRoomState(roomCode);
-      return cb?.({ ok: true, type: "HOST" });
-    }
+  /**
+   * Day vote tally: alive voters on valid targets, most votes first
+   * (runoff => only tied candidates; NO_LYNCH if enabled)
+   */
+  function dayVoteTally(room) {
+    const alive = alivePlayers(room);
+
+    return tallyVotes(
+      room.dayVotes,
+      (voterId) => alive.some((p) => p.id === voterId),
+      (targetId) => isValidDayTarget(room, targetId),
+      (voterId) => voteWeight(room, voterId)
+    );
+  }
 
-    // Restore player
-    const player = room.players.find((p) => p.token === token);
-    if (!player) return cb?.({ error: "Session not found." });
+  // Day vote weight (Mayor counts twice)
+  function voteWeight(room, playerId) {
+    const player = room.players.find((p) => p.id === playerId);
+    return player ? roleDef(player.role).voteWeight || 1 : 0;
+  }
 
-    player.id = socket.id;
-    socket.join(roomCode);
+  // Total vote weight of alive players
+  function aliveVoteWeight(room) {
+    return alivePlayers(room).reduce((sum, p) => sum + voteWeight(room, p.id), 0);
+  }
 
-    // resend role
-    io.to(player.id).emit("your_role", { role: player.role });
+  function isValidDayTarget(room, targetId) {
+    if (targetId === NO_LYNCH) return room.settings.allowNoLynch;
+    if (room.phase === PHASES.DAY_RUNOFF && !room.runoffCandidates?.includes(targetId)) return false;
+    return alivePlayers(room).some((p) => p.id === targetId);
+  }
 
-    // resend mafia team if mafia
-    if (player.role === ROLES.MAFIA) {
-      const mafiaNames = room.players
-        .filter((p) => p.role === ROLES.MAFIA)
-        .map((p) => p.name);
-      io.to(player.id).emit("mafia_team", { mafiaNames });
-    }
+  // DAY_VOTING or its runoff
+  function isDayVote(room) {
+    return room.phase === PHASES.DAY_VOTING || room.phase === PHASES.DAY_RUNOFF;
+  }
 
-    emitRoomState(roomCode);
-    return cb?.({ ok: true, type: "PLAYER" });
-  });
+  // Any daytime phase (Detective full day)
+  function isDayPhase(room) {
+    return (
+      room.phase === PHASES.DAY_DISCUSSION ||
+      room.phase === PHASES.DEFENSE ||
+      room.phase === PHASES.TRIAL_VOTE ||
+      isDayVote(room)
+    );
+  }
 
   /**
-   * PUBLIC CHAT
-   * Only alive players can send
+   * Trial verdicts from alive players (defendant can't vote)
+   * { guilty, innocent, guiltyIds, innocentIds }
    */
-  socket.on("public_chat", ({ roomCode, message }, cb) => {
-    roomCode = String(roomCode || "").trim().toUpperCase();
-    const room = getRoom(roomCode);
-    if (!room) return cb?.({ error: "Room not found." });
-
-    const sender = room.players.find((p) => p.id === socket.id);
-
-    if (!sender) return cb?.({ error: "Host cannot send public chat." });
-    if (!sender.alive) return cb?.({ error: "Dead players cannot send public chat." });
+  function verdictTally(room) {
+    const result = { guilty: 0, innocent: 0, guiltyIds: [], innocentIds: [] };
+    if (!room.trial) return result;
+
+    for (const p of alivePlayers(room)) {
+      if (p.id === room.trial.defendantId) continue;
+
+      const verdict = room.trial.verdicts[p.id];
+      const weight = voteWeight(room, p.id);
+      if (verdict === "GUILTY") {
+        result.guilty += weight;
+        result.guiltyIds.push(p.id);
+      } else if (verdict === "INNOCENT") {
+        result.innocent += weight;
+        result.innocentIds.push(p.id);
+      }
+    }
 
-    const text = String(message || "").trim();
-    if (!text) return cb?.({ error: "Empty message." });
+    return result;
+  }
 
-    io.to(roomCode).emit("public_chat_message", {
-      senderName: sender.name,
-      message: text,
-      time: new Date().toLocaleTimeString(),
-    });
+  // Open voting: who votes for whom + counts
+  function openVoteState(room) {
+    return {
+      byVoter: room.dayVotes,
+      tally: dayVoteTally(room),
+      locked: Object.keys(room.lockedVotes),
+    };
+  }
 
-    cb?.({ ok: true });
-  });
+  /**
+   * "P1 x3 (P0, P2, P3), P4 x1 (P5)"
+   * Voter names only with open voting
+   */
+  function formatVoteBreakdown(room) {
+    const nameOf = (id) =>
+      id === NO_LYNCH ? "No lynch" : room.players.find((p) => p.id === id)?.name || "?";
+
+    return dayVoteTally(room)
+      .map((t) => {
+        const voters = room.settings.openVoting ? ` (${t.voterIds.map(nameOf).join(", ")})` : "";
+        return `${nameOf(t.targetId)} x${t.count}${voters}`;
+      })
+      .join(", ");
+  }
 
   /**
-   * MAFIA PRIVATE CHAT
+   * Send role (+ role info) and, for mafia, the mafia team
    */
-  socket.on("mafia_chat", ({ roomCode, message }, cb) => {
-    roomCode = String(roomCode || "").trim().toUpperCase();
-    const room = getRoom(roomCode);
-    if (!room) return cb?.({ error: "Room not found." });
+  function sendRole(room, player) {
+    const info = publicRoleInfo(player.role, room.settings);
+    io.to(player.id).emit("your_role", { role: player.role, info });
 
-    const sender = room.players.find((p) => p.id === socket.id);
+    if (isMafia(player)) {
+      const mafiaNames = room.players.filter(isMafia).map((p) => p.name);
+      io.to(player.id).emit("mafia_team", { mafiaNames });
+    }
+  }
 
-    if (!sender) return cb?.({ error: "Host cannot use mafia chat." });
-    if (!sender.alive) return cb?.({ error: "Dead players cannot use mafia chat." });
-    if (sender.role !== ROLES.MAFIA) return cb?.({ error: "Only Mafia can use mafia chat." });
+  function sendPrivateRoles(room) {
+    room.players.forEach((p) => sendRole(room, p));
+  }
 
-    const text = String(message || "").trim();
-    if (!text) return cb?.({ error: "Empty message." });
+  // Chat messages replayed per channel on restore
+  const CHAT_BACKLOG = 200;
 
-    const aliveMafia = room.players.filter((p) => p.alive && p.role === ROLES.MAFIA);
+  /**
+   * Chat message as clients get it (live and in the backlog)
+   * time is ISO, clients show it in their own locale
+   */
+  function chatPayload(e) {
+    return {
+      id: e.messageId,
+      senderName: e.sender,
+      ...(e.target && { targetName: e.target }),
+      message: e.message,
+      time: e.time,
+      mentions: e.mentions || [],
+      redacted: !!e.redacted,
+    };
+  }
 
-    aliveMafia.forEach((m) => {
-      io.to(m.id).emit("mafia_chat_message", {
-        senderName: sender.name,
-        message: text,
-        time: new Date().toLocaleTimeString(),
-      });
+  /**
+   * New chat message: word filter, @mentions, logged with an id
+   * and saved (the log is the chat backlog after a restart)
+   * extra: { target, senderId, targetId } for whispers
+   */
+  function chatMessage(room, channel, senderName, text, extra = {}) {
+    const message = maskWords(text, room.settings.wordFilter);
+    const names = [...room.players.filter((p) => !p.removed), ...room.spectators].map((p) => p.name);
+
+    room.nextMessageId = (room.nextMessageId || 0) + 1;
+    const entry = logEvent(room, "CHAT", {
+      channel,
+      messageId: room.nextMessageId,
+      sender: senderName,
+      ...extra,
+      message,
+      mentions: findMentions(message, names),
     });
+    saveRoom(room);
+    return chatPayload(entry);
+  }
 
-    cb?.({ ok: true });
-  });
+  // Line from the server in public chat (not logged as chat)
+  function systemMessage(room, message) {
+    io.to(room.roomCode).emit("public_chat_message", {
+      senderName: "System",
+      message,
+      time: new Date(clock.now()).toISOString(),
+      mentions: [],
+    });
+  }
 
   /**
-   * Host creates room
+   * Chat backlog of one channel, rebuilt from the game log
+   * Whispers: only the ones the player's seat sent or received (by id, names can change)
    */
-  socket.on("create_room", ({ hostName }, cb) => {
-    let roomCode = makeRoomCode();
-    while (rooms.has(roomCode)) roomCode = makeRoomCode();
+  function chatBacklog(room, channel, player = null) {
+    return room.log
+      .filter((e) => e.type === "CHAT" && e.channel === channel)
+      .filter((e) => !player || e.senderId === player.id || e.targetId === player.id)
+      .slice(-CHAT_BACKLOG)
+      .map(chatPayload);
+  }
 
-    const room = {
-      roomCode,
-      hostId: socket.id,
-      hostToken: makeToken(), // IMPORTANT
-
-      hostName: hostName?.trim() || "Host",
-      phase: PHASES.LOBBY,
-      phaseEndsAt: null,
-      round: 1,
-      announcement: "Room created. Waiting for players...",
-      timer: null,
-
-      players: [],
-      dayVotes: {},
-
-      // detective full day tracking
-      dayDetectiveUsed: false,
-      dayDetectiveTargetId: null,
-
-      night: {
-        doctorTargetId: null,
-        mafiaVotes: {},
+  /**
+   * Everything private a player (or the host, player = null) needs
+   * to rebuild their panels after restore_session
+   */
+  function sessionSnapshot(room, player, { spectator = false } = {}) {
+    const nameOf = (id) =>
+      id === NO_LYNCH ? "No lynch" : room.players.find((p) => p.id === id)?.name || null;
+
+    // Host (or spectator): public + graveyard
+    if (!player) {
+      const dead = spectator && graveyardDelayed(room) ? [] : chatBacklog(room, "DEAD");
+      return { chat: { PUBLIC: chatBacklog(room, "PUBLIC"), DEAD: dead } };
+    }
+
+    const snapshot = {
+      role: player.role,
+      info: player.role ? publicRoleInfo(player.role, room.settings) : null,
+      mafiaNames: null,
+      investigations: investigationHistory(player),
+      choices: {
+        dayVote: nameOf(room.dayVotes[player.id]),
+        voteLocked: !!room.lockedVotes[player.id],
+        dayAction: nameOf(room.dayActions[player.id]),
+        nightAction: nameOf(room.night.mafiaVotes[player.id] || room.night.actions[player.id]?.targetId),
       },
+      chat: { PUBLIC: chatBacklog(room, "PUBLIC"), WHISPER: chatBacklog(room, "WHISPER", player) },
     };
 
-    rooms.set(roomCode, room);
-    socket.join(roomCode);
-
-    // IMPORTANT: client expects hostToken
-    cb({ roomCode, hostToken: room.hostToken });
+    if (player.role && isMafia(player)) {
+      snapshot.mafiaNames = room.players.filter(isMafia).map((p) => p.name);
+      if (player.alive) snapshot.chat.MAFIA = chatBacklog(room, "MAFIA");
+    }
+    if (player.role && !player.alive) snapshot.chat.DEAD = chatBacklog(room, "DEAD");
 
-    emitRoomState(roomCode);
-  });
+    return snapshot;
+  }
 
   /**
-   * Player joins room
+   * Start phase + schedule next phase
    */
-  socket.on("join_room", ({ roomCode, playerName }, cb) => {
-    roomCode = String(roomCode || "").trim().toUpperCase();
+  function startPhase(roomCode, phase, seconds) {
     const room = getRoom(roomCode);
+    if (!room) return;
+
+    room.phase = phase;
+    room.paused = false;
+    room.pausedRemainingMs = null;
+    logEvent(room, "PHASE");
+
+    // Reset phase data
+    if (phase === PHASES.DAY_VOTING) room.runoffCandidates = null;
+    if (phase === PHASES.DAY_VOTING || phase === PHASES.DAY_RUNOFF) {
+      room.dayVotes = {};
+      room.lockedVotes = {};
+    }
+    if (phase === PHASES.SLEEP) room.night = { actions: {}, mafiaVotes: {} };
 
-    if (!room) return cb({ error: "Room not found." });
-    if (room.phase !== PHASES.LOBBY) return cb({ error: "Game already started." });
-
-    const token = makeToken();
-
-    room.players.push({
-      id: socket.id,
-      token,
-      name: playerName?.trim() || "Player",
-      role: null,
-      alive: true,
-    });
-
-    socket.join(roomCode);
+    // Reset day actions + nominations at start of each day
+    if (phase === PHASES.DAY_DISCUSSION) {
+      room.dayActions = {};
+      room.nominations = [];
+      room.trial = null;
+    }
 
-    cb({ ok: true, token });
+    // Dropped idle phase => resolve it and move on right away
+    if (seconds === 0 && SKIPPABLE_PHASES.includes(phase)) {
+      advancePhase(roomCode);
+      return;
+    }
 
+    scheduleAdvance(roomCode, seconds * 1000);
     emitRoomState(roomCode);
-  });
+    scheduleBots(roomCode);
+
+    // e.g. Doctor phase with no alive Doctor
+    maybeAdvanceEarly(roomCode);
+  }
 
   /**
-   * Host starts game
+   * (Re)arm the phase timer so the current phase ends in ms
    */
-  socket.on("start_game", ({ roomCode }, cb) => {
-    roomCode = String(roomCode || "").trim().toUpperCase();
+  function scheduleAdvance(roomCode, ms) {
     const room = getRoom(roomCode);
+    if (!room) return;
 
-    if (!room) return cb({ error: "Room not found." });
-    if (socket.id !== room.hostId) return cb({ error: "Only host can start." });
+    room.phaseEndsAt = clock.now() + ms;
 
-    if (room.players.length < 6) {
-      return cb({ error: "Minimum 6 players required." });
-    }
+    if (room.timer) clock.clearTimeout(room.timer);
+    room.timer = clock.setTimeout(() => advancePhase(roomCode, { timedOut: true }), ms);
+  }
 
-    assignRoles(room);
-    sendPrivateRoles(room);
+  /**
+   * Host moderation helpers
+   * Pause keeps the remaining time on the room (survives host refresh)
+   */
+  function pausePhase(room) {
+    if (room.timer) clock.clearTimeout(room.timer);
+    room.timer = null;
 
-    room.announcement = "Game started. Day Discussion begins (12 minutes).";
-    startPhase(roomCode, PHASES.DAY_DISCUSSION, SETTINGS.DAY_DISCUSSION);
+    room.paused = true;
+    room.pausedRemainingMs = Math.max(0, room.phaseEndsAt - clock.now());
+    room.phaseEndsAt = null;
+  }
 
-    cb({ ok: true });
-  });
+  function resumePhase(roomCode) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+
+    const ms = room.pausedRemainingMs;
+    room.paused = false;
+    room.pausedRemainingMs = null;
+    scheduleAdvance(roomCode, ms);
+    scheduleBots(roomCode);
+  }
 
   /**
-   * Day vote
+   * Every eligible alive player has acted, or the outcome can't change
    */
-  socket.on("cast_vote", ({ roomCode, targetId }, cb) => {
-    roomCode = String(roomCode || "").trim().toUpperCase();
-    const room = getRoom(roomCode);
+  function phaseComplete(room) {
+    const alive = alivePlayers(room);
 
-    if (!room) return cb({ error: "Room not found." });
-    if (room.phase !== PHASES.DAY_VOTING) return cb({ error: "Not voting phase." });
+    if (room.phase === PHASES.DOCTOR || room.phase === PHASES.MAFIA) {
+      const pending = alive.filter((p) => {
+        const action = currentAction(room, p);
+        return action && !hasActed(room, p, action) && !isInactive(room, p);
+      });
+      if (!pending.length) return true;
 
-    const voter = room.players.find((p) => p.id === socket.id);
-    const target = room.players.find((p) => p.id === targetId);
+      // Only mafia votes missing, but a majority already decided the kill
+      if (room.phase === PHASES.MAFIA && pending.every((p) => roleDef(p.role).action.group)) {
+        const top = mafiaKillTally(room)[0]?.count || 0;
+        return top * 2 > alive.filter(isMafia).length;
+      }
+      return false;
+    }
 
-    if (!voter || !voter.alive) return cb({ error: "You are not alive." });
-    if (!target || !target.alive) return cb({ error: "Target not alive." });
+    if (isDayVote(room)) {
+      const voted = alive.filter((p) => room.dayVotes[p.id]);
+      const top = dayVoteTally(room)[0]?.count || 0;
+      return voted.length === alive.length || top * 2 > aliveVoteWeight(room);
+    }
 
-    room.dayVotes[socket.id] = targetId;
-    cb({ ok: true });
+    if (room.phase === PHASES.TRIAL_VOTE) {
+      const eligible = aliveVoteWeight(room) - voteWeight(room, room.trial.defendantId);
+      const { guilty, innocent } = verdictTally(room);
+      return guilty + innocent === eligible || guilty * 2 > eligible || innocent * 2 >= eligible;
+    }
 
-    emitRoomState(roomCode);
-  });
+    return false;
+  }
 
   /**
-   * Doctor protects
+   * afkSkipNight (with or without early advance): a night phase where
+   * everyone still to act is disconnected
    */
-  socket.on("doctor_protect", ({ roomCode, targetId }, cb) => {
-    roomCode = String(roomCode || "").trim().toUpperCase();
-    const room = getRoom(roomCode);
-
-    if (!room) return cb({ error: "Room not found." });
-    if (room.phase !== PHASES.DOCTOR) return cb({ error: "Not Doctor phase." });
-
-    const doctor = room.players.find((p) => p.id === socket.id);
-    if (!doctor || !doctor.alive) return cb({ error: "You are not alive." });
-    if (doctor.role !== ROLES.DOCTOR) return cb({ error: "You are not Doctor." });
+  function onlyInactivePending(room) {
+    if (room.phase !== PHASES.DOCTOR && room.phase !== PHASES.MAFIA) return false;
 
-    const target = room.players.find((p) => p.id === targetId);
-    if (!target || !target.alive) return cb({ error: "Target not alive." });
-
-    room.night.doctorTargetId = targetId;
-    cb({ ok: true });
-  });
+    const pending = alivePlayers(room).filter((p) => {
+      const action = currentAction(room, p);
+      return action && !hasActed(room, p, action);
+    });
+    return pending.length > 0 && pending.every((p) => isInactive(room, p));
+  }
 
   /**
-   * Mafia vote kill
+   * Early advance room rule: end the phase once it is complete
+   * (afkSkipNight also ends a night phase left to disconnected actors)
    */
-  socket.on("mafia_vote_kill", ({ roomCode, targetId }, cb) => {
-    roomCode = String(roomCode || "").trim().toUpperCase();
+  function maybeAdvanceEarly(roomCode) {
     const room = getRoom(roomCode);
+    if (!room || room.paused) return;
 
-    if (!room) return cb({ error: "Room not found." });
-    if (room.phase !== PHASES.MAFIA) return cb({ error: "Not Mafia phase." });
-
-    const mafia = room.players.find((p) => p.id === socket.id);
-    if (!mafia || !mafia.alive) return cb({ error: "You are not alive." });
-    if (mafia.role !== ROLES.MAFIA) return cb({ error: "You are not Mafia." });
+    const early = room.settings.earlyAdvance && phaseComplete(room);
+    if (!early && !onlyInactivePending(room)) return;
 
-    const target = room.players.find((p) => p.id === targetId);
-    if (!target || !target.alive) return cb({ error: "Target not alive." });
+    if (room.timer) clock.clearTimeout(room.timer);
+    room.timer = null;
 
-    room.night.mafiaVotes[socket.id] = targetId;
-    cb({ ok: true });
-  });
+    advancePhase(roomCode);
+  }
 
   /**
-   * Detective investigates FULL DAY
-   * Allowed in:
-   * - DAY_DISCUSSION
-   * - DAY_VOTING
-   * Only 1 check per day
+   * Role action the player can use right now (or null)
    */
-  socket.on("detective_check", ({ roomCode, targetId }, cb) => {
-    roomCode = String(roomCode || "").trim().toUpperCase();
-    const room = getRoom(roomCode);
+  function currentAction(room, player) {
+    const action = roleAction(player.role, room.settings);
+    if (!action || !player.alive) return null;
 
-    if (!room) return cb({ error: "Room not found." });
+    const inPhase = action.phase === "DAY" ? isDayPhase(room) : room.phase === action.phase;
+    if (!inPhase) return null;
 
-    // Only during day
-    if (room.phase !== PHASES.DAY_DISCUSSION && room.phase !== PHASES.DAY_VOTING) {
-      return cb({ error: "Detective can investigate only during the day." });
-    }
+    if (action.maxUses && (player.actionUses || 0) >= action.maxUses) return null;
+    return action;
+  }
 
-    const detective = room.players.find((p) => p.id === socket.id);
-    if (!detective || !detective.alive) return cb({ error: "You are not alive." });
-    if (detective.role !== ROLES.DETECTIVE) return cb({ error: "You are not Detective." });
+  function hasActed(room, player, action) {
+    if (action.group) return !!room.night.mafiaVotes[player.id];
+    if (action.phase === "DAY") return player.id in room.dayActions;
+    return player.id in room.night.actions;
+  }
 
-    if (room.dayDetectiveUsed) {
-      return cb({ error: "You already used investigation today." });
-    }
+  // Some alive (and, with afkSkipNight, connected) player acts in this phase
+  // (else the phase is skipped)
+  function phaseHasActors(room, phase) {
+    return alivePlayers(room).some(
+      (p) => !isInactive(room, p) && roleAction(p.role, room.settings)?.phase === phase
+    );
+  }
 
-    const target = room.players.find((p) => p.id === targetId);
-    if (!target || !target.alive) return cb({ error: "Target not alive." });
+  // afkSkipNight: disconnected players are not waited for at night
+  function isInactive(room, player) {
+    return room.settings.afkSkipNight && !player.connected;
+  }
+
+  /**
+   * Did the player do what this phase expects from them?
+   * null => nothing expected (not counted for AFK)
+   */
+  function actedThisPhase(room, player) {
+    if (isDayVote(room)) return !!room.dayVotes[player.id];
+
+    if (room.phase === PHASES.TRIAL_VOTE) {
+      if (player.id === room.trial.defendantId) return null;
+      return player.id in room.trial.verdicts;
+    }
+
+    const action = currentAction(room, player);
+    if (action && action.phase === room.phase) return hasActed(room, player, action);
+    return null;
+  }
+
+  /**
+   * AFK: count phases in a row where a player had something to do
+   * and did not (only phases that ran their full timer)
+   */
+  function trackMissedPhases(room) {
+    alivePlayers(room).forEach((p) => {
+      const acted = actedThisPhase(room, p);
+      if (acted === null) return;
+
+      p.missedPhases = acted ? 0 : (p.missedPhases || 0) + 1;
+    });
+  }
+
+  /**
+   * AFK: modkill players over the afkModkillPhases limit
+   * Runs after the day vote / night result is resolved
+   * Returns true when the game is over
+   */
+  function removeAfkPlayers(roomCode) {
+    const room = getRoom(roomCode);
+    if (room.phase === PHASES.ENDED) return true;
+
+    const limit = room.settings.afkModkillPhases;
+    const afk = limit ? alivePlayers(room).filter((p) => (p.missedPhases || 0) >= limit) : [];
+    if (!afk.length) return false;
+
+    afk.forEach((p) => modkill(room, p, `${p.name} was removed for inactivity (modkill).`));
+
+    const win = checkWin(room);
+    if (!win) return false;
+    endGame(roomCode, win);
+    return true;
+  }
+
+  /**
+   * Validate and record a role action
+   * expectedType: only accept this action type (legacy event names)
+   * Returns { ok } or { error }
+   */
+  function submitRoleAction(room, actor, targetId, expectedType) {
+    if (!actor || !actor.alive) return { error: "You are not alive." };
+
+    const action = roleAction(actor.role, room.settings);
+    if (!action || (expectedType && action.type !== expectedType)) {
+      return { error: "Your role has no such action." };
+    }
+
+    if (!currentAction(room, actor)) {
+      if (action.maxUses && actor.actionUses >= action.maxUses) return { error: "No uses left." };
+      return { error: `${action.label} is not possible in this phase.` };
+    }
+    // Day actions and investigations cannot be changed once made
+    if ((action.phase === "DAY" || action.type === "INVESTIGATE") && hasActed(room, actor, action)) {
+      return { error: "You already used your action this phase." };
+    }
+
+    const target = room.players.find((p) => p.id === targetId);
+    if (!target || !target.alive) return { error: "Target not alive." };
+    if (target.id === actor.id) {
+      if (!action.self) return { error: "You cannot target yourself." };
+      if (action.selfOnce && actor.selfTargets >= 1) {
+        return { error: "You can target yourself only once." };
+      }
+    }
+    if (action.noRepeat && target.id === actor.lastTargetId) {
+      return { error: "You cannot pick the same player two nights in a row." };
+    }
+
+    const details = { actor: actor.name, role: actor.role, label: action.label, target: target.name };
+
+    // Mafia team vote
+    if (action.group) {
+      room.night.mafiaVotes[actor.id] = targetId;
+      logEvent(room, "ROLE_ACTION", details);
+      return { ok: true };
+    }
+
+    // Day action (Detective): checked now, result sent now or at dawn
+    if (action.phase === "DAY") {
+      room.dayActions[actor.id] = targetId;
+
+      if (action.type === "INVESTIGATE") {
+        const result = investigate(room, actor, target);
+        logEvent(room, "ROLE_ACTION", { ...details, result });
+      }
+      return { ok: true };
+    }
+
+    // Night action: resolved at EXECUTION (last choice counts)
+    room.night.actions[actor.id] = { type: action.type, targetId };
+    logEvent(room, "ROLE_ACTION", details);
+    return { ok: true };
+  }
+
+  /**
+   * Detective check: result goes into the player's history
+   * Sent now (IMMEDIATE) or with the night result (DAWN)
+   * Night checks only get here from resolveNight, after roleblocks
+   */
+  function investigate(room, actor, target) {
+    const { detectiveResult, detectiveDelivery } = room.settings;
+    const result = investigationResult(target.role, detectiveResult);
+
+    const entry = { round: room.round, targetName: target.name, result, delivered: false };
+    actor.investigations.push(entry);
+
+    if (detectiveDelivery !== "DAWN") deliverResult(actor, entry);
+    return result;
+  }
+
+  function deliverResult(player, entry) {
+    entry.delivered = true;
+    const { round, targetName, result } = entry;
+    io.to(player.id).emit("detective_result", { round, targetName, result });
+  }
+
+  // Dawn: send investigation results held back during the day / night
+  function deliverPendingResults(room) {
+    room.players.forEach((p) => {
+      (p.investigations || []).filter((e) => !e.delivered).forEach((e) => deliverResult(p, e));
+    });
+  }
+
+  // Delivered investigation results (replayed in session_snapshot)
+  function investigationHistory(player) {
+    return (player.investigations || [])
+      .filter((e) => e.delivered)
+      .map(({ round, targetName, result }) => ({ round, targetName, result }));
+  }
+
+  // Game is running (host controls apply)
+  function isRunning(room) {
+    return room.phase !== PHASES.LOBBY && room.phase !== PHASES.ENDED;
+  }
+
+  /**
+   * Mafia count when the host leaves it on auto
+   * Capped so mafia always start as a minority
+   */
+  function defaultMafiaCount(n) {
+    let mafiaCount = 2;
+    if (n >= 9 && n <= 12) mafiaCount = 3;
+    if (n >= 13) mafiaCount = 4;
+    return Math.max(1, Math.min(mafiaCount, Math.floor((n - 1) / 2)));
+  }
+
+  /**
+   * Assign roles from room settings:
+   * - Doctor / Detective only if enabled (1 each)
+   * - Mafia count from settings, or by player count when auto
+   */
+  function assignRoles(room) {
+    const n = room.players.length;
+    const { settings } = room;
+
+    const mafiaCount = settings.mafiaCount ?? defaultMafiaCount(n);
+
+    const { GODFATHER: godfathers = 0, ...extras } = settings.extraRoles;
+
+    // Godfather takes a mafia slot, other extra roles take town slots
+    const roles = [];
+    if (settings.doctor) roles.push(ROLES.DOCTOR);
+    if (settings.detective) roles.push(ROLES.DETECTIVE);
+    for (const [role, count] of Object.entries(extras)) {
+      for (let i = 0; i < count; i++) roles.push(role);
+    }
+    for (let i = 0; i < mafiaCount; i++) roles.push(i < godfathers ? ROLES.GODFATHER : ROLES.MAFIA);
+    while (roles.length < n) roles.push(ROLES.TOWN);
+
+    // Shuffle roles (room seed)
+    const shuffleRandom = roomRandom(room);
+    for (let i = roles.length - 1; i > 0; i--) {
+      const j = Math.floor(shuffleRandom() * (i + 1));
+      [roles[i], roles[j]] = [roles[j], roles[i]];
+    }
+
+    room.players.forEach((p, idx) => {
+      p.role = roles[idx];
+      p.alive = true;
+      p.actionUses = 0;
+      p.lynched = false;
+      p.selfTargets = 0;
+      p.lastTargetId = null;
+      p.investigations = [];
+      p.missedPhases = 0;
+    });
+  }
+
+  /**
+   * Resolve day voting (or its runoff) with the room's tie rule
+   * Returns the vote outcome (RUNOFF => caller starts DAY_RUNOFF)
+   */
+  function resolveDayVoting(roomCode) {
+    const room = getRoom(roomCode);
+    if (!room) return null;
+
+    const inRunoff = room.phase === PHASES.DAY_RUNOFF;
+    const tally = dayVoteTally(room);
+
+    // No second runoff: a tied runoff eliminates no one
+    const rule =
+      inRunoff && room.settings.dayTieRule === "RUNOFF" ? "NO_ELIMINATION" : room.settings.dayTieRule;
+    const result = resolveVotes(tally, {
+      rule,
+      eligible: aliveVoteWeight(room),
+      random: roomRandom(room),
+    });
+
+    const nameOf = (id) =>
+      id === NO_LYNCH ? "No lynch" : room.players.find((p) => p.id === id)?.name || "?";
+    const breakdown = formatVoteBreakdown(room);
+    const votesText = breakdown ? ` Votes: ${breakdown}.` : "";
+
+    switch (result.outcome) {
+      case "NO_VOTES":
+        announce(room, "Voting ended: No one was eliminated (no votes).");
+        return result.outcome;
+
+      case "TIE":
+        announce(room, `Voting ended: Tie, no one was eliminated.${votesText}`);
+        return result.outcome;
+
+      case "NO_MAJORITY":
+        announce(room, `Voting ended: No majority, no one was eliminated.${votesText}`);
+        return result.outcome;
+
+      case "NO_LYNCH":
+        announce(room, `Voting ended: Town chose not to lynch.${votesText}`);
+        return result.outcome;
+
+      case "RUNOFF":
+        room.runoffCandidates = result.tied.filter((id) => id !== NO_LYNCH);
+        announce(
+          room,
+          `Voting tied between ${result.tied.map(nameOf).join(", ")}. Runoff vote!${votesText}`
+        );
+        return result.outcome;
+
+      default:
+        break;
+    }
+
+    const eliminated = room.players.find((p) => p.id === result.targetId);
+    if (eliminated && eliminated.alive) {
+      const how = result.tied.length > 1 ? "picked at random from the tie and eliminated" : "eliminated";
+      announce(
+        room,
+        `Voting result: ${eliminated.name} ${how}. Role: ${eliminated.role}.${votesText}` +
+          lynch(eliminated)
+      );
+    }
+
+    const win = checkWin(room);
+    if (win) endGame(roomCode, win);
+    return result.outcome;
+  }
+
+  /**
+   * Eliminate a player by day vote
+   * Returns extra announcement text (Jester win)
+   */
+  function lynch(player) {
+    player.alive = false;
+    player.lynched = true;
+
+    const faction = factionDef(factionOf(player.role));
+    return faction.lynchWins ? ` ${player.name} was the ${roleName(player.role)} and wins!` : "";
+  }
+
+  /**
+   * Trial day flow: put the next seconded nominee on trial,
+   * or go to night when none are left (or maxTrials reached)
+   */
+  function startNextTrial(roomCode) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+
+    const { timers, maxTrials } = room.settings;
+    const { trial } = room;
+    const alive = alivePlayers(room);
+
+    while (trial.queue.length && !alive.some((p) => p.id === trial.queue[0])) trial.queue.shift();
+
+    if (!trial.queue.length || trial.held >= maxTrials) {
+      trial.defendantId = null;
+      if (!trial.held) announce(room, "No one was put on trial today.");
+      startPhase(roomCode, PHASES.SLEEP, timers.SLEEP);
+      return;
+    }
+
+    trial.defendantId = trial.queue.shift();
+    trial.verdicts = {};
+    trial.held += 1;
+
+    const defendant = room.players.find((p) => p.id === trial.defendantId);
+    announce(room, `${defendant.name} is on trial. Defense begins.`);
+    startPhase(roomCode, PHASES.DEFENSE, timers.DEFENSE);
+  }
+
+  /**
+   * Resolve guilty / innocent vote
+   * Returns true if the defendant was eliminated
+   */
+  function resolveTrialVote(roomCode) {
+    const room = getRoom(roomCode);
+    if (!room) return false;
+
+    const defendant = room.players.find((p) => p.id === room.trial.defendantId);
+    if (!defendant || !defendant.alive) return false;
+
+    const tally = verdictTally(room);
+    let votesText = `${tally.guilty} guilty, ${tally.innocent} innocent`;
+
+    if (room.settings.openVoting) {
+      const names = (ids) => ids.map((id) => room.players.find((p) => p.id === id).name).join(", ");
+      const guilty = names(tally.guiltyIds) || "-";
+      votesText = `guilty: ${guilty}; innocent: ${names(tally.innocentIds) || "-"}`;
+    }
+
+    if (tally.guilty <= tally.innocent) {
+      announce(room, `Trial: ${defendant.name} found innocent (${votesText}).`);
+      return false;
+    }
+
+    announce(
+      room,
+      `Trial: ${defendant.name} found guilty and eliminated. Role: ${defendant.role} (${votesText}).` +
+        lynch(defendant)
+    );
+
+    const win = checkWin(room);
+    if (win) endGame(roomCode, win);
+    return true;
+  }
+
+  /**
+   * Mafia kill tally: alive mafia on alive targets
+   */
+  function mafiaKillTally(room, blocked = new Set()) {
+    const alive = alivePlayers(room);
+
+    return tallyVotes(
+      room.night.mafiaVotes,
+      (voterId) => !blocked.has(voterId) && alive.some((p) => p.id === voterId && isMafia(p)),
+      (targetId) => alive.some((p) => p.id === targetId)
+    );
+  }
+
+  /**
+   * Resolve mafia vote target with the room's night tie rule
+   * Roleblocked mafia votes do not count
+   */
+  function resolveMafiaKillTarget(room, blocked) {
+    const mafiaAlive = alivePlayers(room).filter((p) => isMafia(p) && !blocked.has(p.id));
+
+    const result = resolveVotes(mafiaKillTally(room, blocked), {
+      rule: room.settings.nightTieRule,
+      eligible: mafiaAlive.length,
+      random: roomRandom(room),
+    });
+
+    return result.outcome === "ELIMINATE" ? result.targetId : null;
+  }
+
+  /**
+   * Resolve all night actions in priority order
+   * BLOCK -> PROTECT / GUARD -> KILL / SHOOT -> INVESTIGATE
+   * Roleblocked players' actions (and mafia votes) fail
+   * Held back (DAWN) investigation results are sent at the end
+   */
+  function resolveNight(roomCode) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+
+    const byId = (id) => room.players.find((p) => p.id === id);
+    const actions = Object.entries(room.night.actions)
+      .map(([actorId, a]) => ({ ...a, actor: byId(actorId), target: byId(a.targetId) }))
+      .filter((a) => a.actor?.alive && a.target?.alive)
+      .sort((a, b) => ACTION_PRIORITY[a.type] - ACTION_PRIORITY[b.type]);
+
+    const blocked = new Set();
+    const protectedIds = new Set();
+    const guards = new Map();
+    const attacks = [];
+
+    for (const a of actions) {
+      if (blocked.has(a.actor.id)) {
+        if (a.type === "INVESTIGATE") {
+          const entry = { round: room.round, targetName: a.target.name, result: "ROLEBLOCKED" };
+          a.actor.investigations.push({ ...entry, delivered: false });
+        }
+        continue;
+      }
+
+      if (a.type === "BLOCK") blocked.add(a.target.id);
+      else if (a.type === "PROTECT") {
+        protectedIds.add(a.target.id);
+        if (a.target === a.actor) a.actor.selfTargets += 1;
+      } else if (a.type === "GUARD") guards.set(a.target.id, a.actor);
+      else if (a.type === "INVESTIGATE") investigate(room, a.actor, a.target);
+      else if (a.type === "SHOOT") {
+        a.actor.actionUses = (a.actor.actionUses || 0) + 1;
+        attacks.push({ target: a.target, by: `the ${roleName(a.actor.role)}` });
+      }
+    }
+
+    const mafiaTargetId = resolveMafiaKillTarget(room, blocked);
+    if (mafiaTargetId) attacks.unshift({ target: byId(mafiaTargetId), by: "the Mafia" });
+
+    const results = [];
+    for (const { target, by } of attacks) {
+      if (!target.alive) continue;
+
+      const guard = guards.get(target.id);
+      if (guard?.alive) {
+        guard.alive = false;
+        results.push(`${guard.name} died guarding ${target.name}. Role: ${guard.role}`);
+      } else if (protectedIds.has(target.id)) {
+        results.push(`${target.name} was attacked by ${by} but saved by Doctor.`);
+      } else {
+        target.alive = false;
+        results.push(`${target.name} was killed by ${by}. Role: ${target.role}`);
+      }
+    }
+
+    if (!mafiaTargetId) results.unshift("Mafia did not finalize a kill.");
+    if (!results.some((r) => r.includes("Role:"))) results.push("No one died.");
+
+    // No-repeat rule: remember tonight's targets
+    room.players.forEach((p) => {
+      p.lastTargetId = room.night.actions[p.id]?.targetId ?? null;
+    });
+
+    announce(room, `Night result: ${results.join(" ")}`);
+    deliverPendingResults(room);
+
+    const win = checkWin(room);
+    if (win) endGame(roomCode, win);
+  }
+
+  /**
+   * Remove a player (host kick / ban)
+   * In game the player stays in the list as dead so the role is revealed
+   */
+  function removePlayer(roomCode, player, { ban }) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+
+    if (ban) room.bans.push({ token: player.token, name: player.name.toLowerCase() });
+
+    io.to(player.id).emit("room_closed", {
+      message: ban ? "You were banned from this room." : "You were removed from the room by the host.",
+    });
+    io.in(player.id).socketsLeave(roomCode);
+    botSockets.delete(player.id);
+
+    // Revoked here so the seat's socket binding goes stale in the lobby too
+    player.token = null;
+    player.removed = true;
+
+    const verb = ban ? "banned" : "removed";
+
+    if (room.phase === PHASES.LOBBY) {
+      room.players = room.players.filter((p) => p !== player);
+      announce(room, `${player.name} was ${verb} by the host.`);
+      emitRoomState(roomCode);
+      return;
+    }
+
+    if (room.phase === PHASES.ENDED || !player.alive) {
+      emitRoomState(roomCode);
+      return;
+    }
+
+    modkill(room, player, `${player.name} was ${verb} by the host (modkill).`);
+
+    const win = checkWin(room);
+    if (win) {
+      endGame(roomCode, win);
+      return;
+    }
+
+    emitRoomState(roomCode);
+    maybeAdvanceEarly(roomCode);
+  }
+
+  /**
+   * Eliminate a player outside the game flow (host kick / AFK)
+   * Clears votes and actions from / against them, reveals the role
+   * Caller checks win and emits
+   */
+  function modkill(room, player, message) {
+    player.alive = false;
+    for (const votes of [room.dayVotes, room.night.mafiaVotes]) {
+      delete votes[player.id];
+      for (const voterId in votes) {
+        if (votes[voterId] === player.id) delete votes[voterId];
+      }
+    }
+    for (const voterId in room.lockedVotes) {
+      if (!(voterId in room.dayVotes)) delete room.lockedVotes[voterId];
+    }
+    room.nominations = room.nominations.filter((n) => n.targetId !== player.id);
+    for (const actions of [room.dayActions, room.night.actions]) {
+      delete actions[player.id];
+    }
+    for (const actorId in room.night.actions) {
+      if (room.night.actions[actorId].targetId === player.id) delete room.night.actions[actorId];
+    }
+
+    announce(room, `${message} Role: ${player.role}`);
+  }
+
+  /**
+   * Player got a new socket id (refresh / server restart)
+   * Keep their votes, night choices and whispers pointing at the new id
+   */
+  function remapPlayerId(room, oldId, newId) {
+    if (oldId === newId) return;
+
+    for (const votes of [room.dayVotes, room.night.mafiaVotes]) {
+      if (oldId in votes) {
+        votes[newId] = votes[oldId];
+        delete votes[oldId];
+      }
+      for (const voterId in votes) {
+        if (votes[voterId] === oldId) votes[voterId] = newId;
+      }
+    }
+
+    if (room.lockedVotes[oldId]) {
+      room.lockedVotes[newId] = true;
+      delete room.lockedVotes[oldId];
+    }
+
+    const swap = (id) => (id === oldId ? newId : id);
+
+    if (room.runoffCandidates) room.runoffCandidates = room.runoffCandidates.map(swap);
+
+    room.nominations.forEach((n) => {
+      n.targetId = swap(n.targetId);
+      n.nominatorId = swap(n.nominatorId);
+      n.seconderId = swap(n.seconderId);
+    });
+
+    if (room.trial) {
+      room.trial.queue = room.trial.queue.map(swap);
+      room.trial.defendantId = swap(room.trial.defendantId);
+      if (oldId in room.trial.verdicts) {
+        room.trial.verdicts[newId] = room.trial.verdicts[oldId];
+        delete room.trial.verdicts[oldId];
+      }
+    }
+
+    for (const actions of [room.dayActions, room.night.actions]) {
+      if (oldId in actions) {
+        actions[newId] = actions[oldId];
+        delete actions[oldId];
+      }
+    }
+    for (const actorId in room.dayActions) {
+      room.dayActions[actorId] = swap(room.dayActions[actorId]);
+    }
+    for (const action of Object.values(room.night.actions)) {
+      action.targetId = swap(action.targetId);
+    }
+    room.players.forEach((p) => {
+      p.lastTargetId = swap(p.lastTargetId);
+    });
+    room.log
+      .filter((e) => e.type === "CHAT" && e.channel === "WHISPER")
+      .forEach((e) => {
+        e.senderId = swap(e.senderId);
+        e.targetId = swap(e.targetId);
+      });
+  }
+
+  /**
+   * Close room: notify everyone, stop timers, forget it
+   */
+  function closeRoom(roomCode, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+
+    clearRoomTimers(room);
+
+    io.to(roomCode).emit("room_closed", { message });
+    io.in(roomCode).socketsLeave(roomCode);
+
+    rooms.delete(roomCode);
+    store.remove(roomCode);
+  }
+
+  /**
+   * Reset an ENDED room back to LOBBY
+   * Same players and tokens, removed players dropped
+   */
+  function resetToLobby(room) {
+    room.phase = PHASES.LOBBY;
+    room.phaseEndsAt = null;
+    room.paused = false;
+    room.pausedRemainingMs = null;
+    room.round = 1;
+    room.announcement = "New game. Waiting for host to start...";
+
+    room.players = room.players.filter((p) => !p.removed);
+    room.players.forEach((p) => {
+      p.role = null;
+      p.alive = true;
+      p.muted = false;
+    });
+
+    room.dayVotes = {};
+    room.lockedVotes = {};
+    room.runoffCandidates = null;
+    room.nominations = [];
+    room.trial = null;
+    room.dayActions = {};
+    room.night = { actions: {}, mafiaVotes: {} };
+    room.log = [];
+  }
+
+  /**
+   * Close idle rooms and rooms nobody is connected to
+   */
+  function cleanupRooms() {
+    const now = clock.now();
+
+    for (const [roomCode, room] of rooms.entries()) {
+      const connected = io.sockets.adapter.rooms.get(roomCode)?.size || 0;
+
+      if (connected > 0) room.emptySince = null;
+      else room.emptySince = room.emptySince || now;
+
+      // Running games (even paused) are never idle; a lobby or finished game is,
+      // even with a forgotten tab still connected
+      const idle = !isRunning(room) && now - room.lastActivityAt > ROOM_IDLE_MS;
+
+      if (idle) {
+        closeRoom(roomCode, "Room closed after being idle.");
+      } else if (room.emptySince && now - room.emptySince > ROOM_EMPTY_MS) {
+        closeRoom(roomCode, "Room closed: everyone left.");
+      }
+    }
+  }
+
+  function isBanned(room, { token, name }) {
+    return room.bans.some(
+      (b) => (token && b.token === token) || (name && b.name === name.toLowerCase())
+    );
+  }
+
+  /**
+   * Game over
+   * win: { factions, winners } from checkWin (no factions => draw)
+   */
+  function endGame(roomCode, { factions, winners }) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+
+    room.phase = PHASES.ENDED;
+    room.phaseEndsAt = null;
+    room.paused = false;
+    room.pausedRemainingMs = null;
+
+    if (room.timer) clock.clearTimeout(room.timer);
+
+    const labels = factions.map((f) => FACTIONS[f].label);
+    const winnerNames = winners.map((p) => p.name);
+
+    room.announcement = labels.length
+      ? `GAME OVER. Winners: ${labels.join(" + ")} (${winnerNames.join(", ")})`
+      : "GAME OVER. No one survived, no winner.";
+    logEvent(room, "GAME_OVER", { factions: labels, winners: winnerNames });
+
+    io.to(roomCode).emit("game_over", {
+      factions: factions.map((f) => ({ faction: f, label: FACTIONS[f].label })),
+      winners: winners.map((p) => ({ name: p.name, role: p.role, faction: factionOf(p.role) })),
+      finalRoles: room.players.map((p) => ({
+        name: p.name,
+        role: p.role,
+        alive: p.alive,
+      })),
+    });
+
+    emitRoomState(roomCode);
+  }
+
+  /**
+   * Phase flow (state machine)
+   */
+  // Mafia phase, skipped when every actor in it is inactive (afkSkipNight)
+  function startMafiaPhase(roomCode) {
+    const room = getRoom(roomCode);
+    const { timers } = room.settings;
+
+    if (!phaseHasActors(room, PHASES.MAFIA)) {
+      startPhase(roomCode, PHASES.EXECUTION, timers.EXECUTION);
+      return;
+    }
+    startPhase(roomCode, PHASES.MAFIA, timers.MAFIA);
+  }
+
+  /**
+   * timedOut: the phase ran its full timer (not early advance / host skip)
+   */
+  function advancePhase(roomCode, { timedOut = false } = {}) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    if (room.phase === PHASES.ENDED) return;
+
+    const { timers } = room.settings;
+
+    // AFK: only a full phase counts as missed
+    if (timedOut) trackMissedPhases(room);
+
+    switch (room.phase) {
+      case PHASES.LOBBY:
+        return;
+
+      case PHASES.DAY_DISCUSSION:
+        if (room.settings.dayFlow === "TRIAL") {
+          room.trial = {
+            queue: room.nominations.filter((n) => n.seconderId).map((n) => n.targetId),
+            defendantId: null,
+            verdicts: {},
+            held: 0,
+          };
+          startNextTrial(roomCode);
+          return;
+        }
+        startPhase(roomCode, PHASES.DAY_VOTING, timers.DAY_VOTING);
+        return;
+
+      case PHASES.DEFENSE:
+        startPhase(roomCode, PHASES.TRIAL_VOTE, timers.TRIAL_VOTE);
+        return;
+
+      case PHASES.TRIAL_VOTE: {
+        const decided = resolveTrialVote(roomCode);
+        if (removeAfkPlayers(roomCode)) return;
+        if (!decided) {
+          startNextTrial(roomCode);
+          return;
+        }
+        startPhase(roomCode, PHASES.SLEEP, timers.SLEEP);
+        return;
+      }
+
+      case PHASES.DAY_VOTING:
+      case PHASES.DAY_RUNOFF: {
+        const outcome = resolveDayVoting(roomCode);
+        if (removeAfkPlayers(roomCode)) return;
+        if (outcome === "RUNOFF") {
+          startPhase(roomCode, PHASES.DAY_RUNOFF, timers.DAY_RUNOFF);
+          return;
+        }
+        startPhase(roomCode, PHASES.SLEEP, timers.SLEEP);
+        return;
+      }
+
+      case PHASES.SLEEP:
+        // No one acts in the Doctor phase => straight to Mafia
+        if (!phaseHasActors(room, PHASES.DOCTOR)) {
+          startMafiaPhase(roomCode);
+          return;
+        }
+        startPhase(roomCode, PHASES.DOCTOR, timers.DOCTOR);
+        return;
+
+      case PHASES.DOCTOR:
+        startMafiaPhase(roomCode);
+        return;
+
+      case PHASES.MAFIA:
+        startPhase(roomCode, PHASES.EXECUTION, timers.EXECUTION);
+        return;
+
+      case PHASES.EXECUTION:
+        resolveNight(roomCode);
+        if (removeAfkPlayers(roomCode)) return;
+        startPhase(roomCode, PHASES.ANNOUNCEMENT, timers.ANNOUNCEMENT);
+        return;
+
+      case PHASES.ANNOUNCEMENT:
+        room.round += 1;
+        startPhase(roomCode, PHASES.DAY_DISCUSSION, timers.DAY_DISCUSSION);
+        return;
+
+      default:
+        return;
+    }
+  }
+
+  /**
+   * ==========================================================
+   * BOTS
+   * ==========================================================
+   */
+  // playerId -> socket stand-in (handlers registered like a real socket)
+  const botSockets = new Map();
+
+  function attachBot(room, player) {
+    const socket = createBotSocket(player.id);
+    handleConnection(socket);
+    botSockets.set(player.id, socket);
+    bindSocket(socket, room, "PLAYER", player);
+
+    player.connected = true;
+    player.disconnectedSince = null;
+  }
+
+  /**
+   * Let every alive bot act once, a random delay into the phase
+   * (delays come from the room RNG so seeded games replay the same)
+   */
+  function scheduleBots(roomCode) {
+    const room = getRoom(roomCode);
+    if (!room || !isRunning(room)) return;
+
+    const { phase, round } = room;
+    const rng = roomRandom(room);
+    alivePlayers(room)
+      .filter((p) => p.bot)
+      .forEach((p) => {
+        clock.setTimeout(() => botTurn(roomCode, p.id, phase, round), rng() * botDelayMs);
+      });
+  }
+
+  function botContext(room, me) {
+    const others = alivePlayers(room).filter((p) => p.id !== me.id);
+    const voteTargets = isDayVote(room) ? others.filter((p) => isValidDayTarget(room, p.id)) : [];
+    return { room, me, others, voteTargets, random: roomRandom(room) };
+  }
+
+  /**
+   * One bot's moves for the phase, sent through its socket handlers
+   * (errors are ignored: a rejected move is simply not made)
+   */
+  function botTurn(roomCode, botId, phase, round) {
+    const room = getRoom(roomCode);
+    const socket = botSockets.get(botId);
+    if (!room || !socket || room.paused) return;
+
+    const me = room.players.find((p) => p.id === botId);
+    const still = () => room.phase === phase && room.round === round && me.alive && !!me.bot;
+    if (!me || !still()) return;
+
+    const strategy = botStrategy(me.bot.strategy);
+    const send = (event, payload) => socket.call(event, { roomCode, ...payload });
+
+    // Role action first (a Detective can claim a result the same day)
+    const action = currentAction(room, me);
+    if (action && !hasActed(room, me, action)) {
+      const targetId = strategy.action(botContext(room, me), action);
+      if (targetId) send("role_action", { targetId });
+    }
+
+    if (still() && phase === PHASES.DAY_DISCUSSION) {
+      const line = me.bot.chat ? strategy.chat(botContext(room, me)) : null;
+      if (line) send("public_chat", { message: line });
+
+      if (room.settings.dayFlow === "TRIAL") {
+        const targetId = strategy.nominate(botContext(room, me));
+        const open = room.nominations.some((n) => n.targetId === targetId);
+        if (targetId) send(open ? "second_nomination" : "nominate", { targetId });
+      }
+    }
+
+    if (still() && isDayVote(room)) {
+      const targetId = strategy.vote(botContext(room, me));
+      if (targetId) send("cast_vote", { targetId });
+      if (room.settings.voteChange === "LOCK_IN" && room.dayVotes[me.id]) send("lock_vote", {});
+    }
+
+    if (still() && phase === PHASES.TRIAL_VOTE && room.trial?.defendantId !== me.id) {
+      send("cast_verdict", { verdict: strategy.verdict(botContext(room, me)) });
+    }
+  }
+
+  /**
+   * ==========================================================
+   * SOCKET SESSIONS
+   * ==========================================================
+   *
+   * socket.data.session = { room, role: HOST | PLAYER | SPECTATOR, seat }
+   * is set when a socket creates, joins or restores a seat. In-room
+   * handlers go through sessionOf(socket), never the client's roomCode.
+   * The binding goes stale once the room is closed, the seat is removed
+   * or another socket takes the seat over.
+   */
+  function sessionOf(socket) {
+    const { room, role, seat } = socket.data.session || {};
+    if (!room || getRoom(room.roomCode) !== room) return {};
+
+    if (role === "HOST") return room.hostId === socket.id ? { room, host: true } : {};
+    if (!seat || seat.id !== socket.id || seat.removed) return {};
+    return role === "PLAYER" ? { room, player: seat } : { room, spectator: seat };
+  }
+
+  // One seat per socket: moving to another room releases the old seat
+  function bindSocket(socket, room, role, seat = null) {
+    const previous = sessionOf(socket).room;
+    if (previous && previous !== room) {
+      releaseSeat(socket);
+      socket.leave(previous.roomCode);
+    }
+
+    socket.data.session = { room, role, seat };
+    room.lastActivityAt = clock.now();
+  }
+
+  /**
+   * Socket gone (disconnect / other room): the seat stays restorable,
+   * its token expires tokenTtlMs from now
+   */
+  function releaseSeat(socket) {
+    const { room, host, player, spectator } = sessionOf(socket);
+    socket.data.session = null;
+    if (!room) return;
+
+    const expiresAt = clock.now() + tokenTtlMs;
+
+    if (host) {
+      room.hostTokenExpiresAt = expiresAt;
+      room.announcement = "Host disconnected (can reconnect).";
+      emitRoomState(room.roomCode);
+      return;
+    }
+
+    if (spectator) {
+      spectator.tokenExpiresAt = expiresAt;
+      saveRoom(room);
+      return;
+    }
+
+    player.tokenExpiresAt = expiresAt;
+    player.connected = false;
+    player.disconnectedSince = clock.now();
+
+    room.announcement = `${player.name} disconnected (can reconnect).`;
+    emitRoomState(room.roomCode);
+    maybeAdvanceEarly(room.roomCode);
+  }
+
+  /**
+   * A seat restored from a new socket: the old one (another tab or
+   * device) is told and leaves the room
+   */
+  function takeOverSeat(oldId, socket, roomCode) {
+    if (!oldId || oldId === socket.id) return;
+
+    io.to(oldId).emit("session_taken_over", {
+      message: "This seat was opened somewhere else.",
+    });
+    io.in(oldId).socketsLeave(roomCode);
+  }
+
+  /**
+   * ==========================================================
+   * SOCKET.IO EVENTS
+   * ==========================================================
+   */
+  /**
+   * Socket event handlers
+   * Bots register the same handlers on a socket stand-in (lib/bots.js)
+   */
+  function handleConnection(socket) {
+    log("Connected:", socket.id);
+
+    // Rate limit check (lib/validation.js), replies with the error when over
+    const overLimit = (kind, cb) => {
+      const error = checkRate(socket.data, kind, clock.now());
+      if (error) cb?.({ error });
+      return !!error;
+    };
+
+    // Any event from a seated socket counts as activity (idle cleanup);
+    // private ones leave the player's lastActionAt alone (timing reveals roles)
+    socket.onAny((event) => {
+      const { room, player } = sessionOf(socket);
+      if (!room) return;
+
+      room.lastActivityAt = clock.now();
+      if (player && !PRIVATE_EVENTS.includes(event)) player.lastActionAt = clock.now();
+    });
+
+    /**
+     * Restore session after refresh (Host + Players)
+     * The token is rotated (new one in the reply) and a socket still
+     * holding the seat is dropped
+     */
+    socket.on("restore_session", ({ roomCode, token }, cb) => {
+      if (overLimit("action", cb)) return;
+
+      roomCode = String(roomCode || "").trim().toUpperCase();
+      token = String(token || "").trim();
+
+      const room = getRoom(roomCode);
+      if (!room) return cb?.({ error: "Room not found." });
+      if (!token) return cb?.({ error: "Invalid token." });
+
+      // Restore host
+      if (room.hostToken && room.hostToken === token) {
+        if (tokenExpired(room, "hostToken")) return cb?.({ error: "Session expired." });
+
+        takeOverSeat(room.hostId, socket, roomCode);
+        room.hostId = socket.id;
+        bindSocket(socket, room, "HOST");
+        socket.join(roomCode);
+        socket.emit("session_snapshot", sessionSnapshot(room, null));
+        // New token before emitRoomState saves the room
+        const hostToken = issueToken(room, "hostToken");
+        emitRoomState(roomCode);
+        return cb?.({ ok: true, type: "HOST", token: hostToken });
+      }
+
+      if (isBanned(room, { token })) return cb?.({ error: "You are banned from this room." });
+
+      // Restore spectator
+      const spectator = room.spectators.find((s) => s.token === token);
+      if (spectator) {
+        if (tokenExpired(spectator)) return cb?.({ error: "Session expired." });
+
+        takeOverSeat(spectator.id, socket, roomCode);
+        spectator.id = socket.id;
+        bindSocket(socket, room, "SPECTATOR", spectator);
+        socket.join(roomCode);
+        socket.emit("session_snapshot", sessionSnapshot(room, null, { spectator: true }));
+        const spectatorToken = issueToken(spectator);
+        emitRoomState(roomCode);
+        return cb?.({ ok: true, type: "SPECTATOR", token: spectatorToken });
+      }
+
+      // Restore player
+      const player = room.players.find((p) => p.token === token);
+      if (!player) return cb?.({ error: "Session not found." });
+      if (tokenExpired(player)) return cb?.({ error: "Session expired." });
+
+      takeOverSeat(player.id, socket, roomCode);
+      remapPlayerId(room, player.id, socket.id);
+      player.id = socket.id;
+      player.connected = true;
+      player.disconnectedSince = null;
+      bindSocket(socket, room, "PLAYER", player);
+      socket.join(roomCode);
 
-    room.dayDetectiveUsed = true;
-    room.dayDetectiveTargetId = targetId;
+      // role, mafia team, results, own choices and chat in one payload
+      socket.emit("session_snapshot", sessionSnapshot(room, player));
 
-    const result = target.role === ROLES.MAFIA ? "MAFIA" : "NOT MAFIA";
-    io.to(detective.id).emit("detective_result", { targetName: target.name, result });
+      const playerToken = issueToken(player);
+      emitRoomState(roomCode);
+      return cb?.({ ok: true, type: "PLAYER", token: playerToken });
+    });
 
-    cb({ ok: true });
-  });
+    /**
+     * PUBLIC CHAT
+     * Only alive players can send
+     */
+    socket.on("public_chat", ({ message }, cb) => {
+      if (overLimit("chat", cb)) return;
+
+      const { room, host, player: sender } = sessionOf(socket);
+      if (!room) return cb?.({ error: "Room not found." });
+
+      if (host) return cb?.({ error: "Host cannot send public chat." });
+      if (!sender) return cb?.({ error: "Spectators cannot send public chat." });
+      if (!sender.alive) return cb?.({ error: "Dead players cannot send public chat." });
+      if (sender.muted) return cb?.({ error: "You are muted by the host." });
+      if (room.phase === PHASES.DEFENSE && sender.id !== room.trial?.defendantId) {
+        return cb?.({ error: "Only the defendant can speak during the defense." });
+      }
 
-  /**
-   * Disconnect
-   * Do NOT kill/remove player on refresh.
-   * They can reconnect using token.
-   */
-  socket.on("disconnect", () => {
-    console.log("Disconnected:", socket.id);
+      const { value: text, error } = cleanMessage(message);
+      if (error) return cb?.({ error });
 
-    for (const [roomCode, room] of rooms.entries()) {
-      // Host disconnect
-      if (room.hostId === socket.id) {
-        room.announcement = "Host disconnected (can reconnect).";
+      const payload = chatMessage(room, "PUBLIC", sender.name, text);
+      io.to(room.roomCode).emit("public_chat_message", payload);
+
+      cb?.({ ok: true });
+    });
+
+    /**
+     * GRAVEYARD CHAT
+     * Dead players, the host and spectators (read + write)
+     */
+    socket.on("dead_chat", ({ message }, cb) => {
+      if (overLimit("chat", cb)) return;
+
+      const { room, host, player, spectator } = sessionOf(socket);
+      if (!room) return cb?.({ error: "Room not found." });
+
+      if (spectator && graveyardDelayed(room)) {
+        return cb?.({ error: "Spectators read graveyard chat with the spectator delay." });
+      }
+      const recipients = graveyardIds(room);
+      if (!recipients.includes(socket.id)) {
+        return cb?.({ error: "Only dead players, spectators and the host can use graveyard chat." });
+      }
+      if (player?.muted) return cb?.({ error: "You are muted by the host." });
+
+      const { value: text, error } = cleanMessage(message);
+      if (error) return cb?.({ error });
+
+      const senderName = host ? `${room.hostName} (host)` : (player || spectator).name;
+
+      const payload = chatMessage(room, "DEAD", senderName, text);
+      recipients.forEach((id) => io.to(id).emit("dead_chat_message", payload));
+      if (graveyardDelayed(room)) queueSpectatorFeed(room);
+
+      cb?.({ ok: true });
+    });
+
+    /**
+     * MAFIA PRIVATE CHAT
+     */
+    socket.on("mafia_chat", ({ message }, cb) => {
+      if (overLimit("chat", cb)) return;
+
+      const { room, player: sender } = sessionOf(socket);
+      if (!room) return cb?.({ error: "Room not found." });
+
+      if (!sender) return cb?.({ error: "Host cannot use mafia chat." });
+      if (!sender.alive) return cb?.({ error: "Dead players cannot use mafia chat." });
+      if (!isMafia(sender)) return cb?.({ error: "Only Mafia can use mafia chat." });
+      if (sender.muted) return cb?.({ error: "You are muted by the host." });
+
+      const { value: text, error } = cleanMessage(message);
+      if (error) return cb?.({ error });
+
+      const payload = chatMessage(room, "MAFIA", sender.name, text);
+      const aliveMafia = room.players.filter((p) => p.alive && isMafia(p));
+
+      aliveMafia.forEach((m) => io.to(m.id).emit("mafia_chat_message", payload));
+      queueSpectatorFeed(room);
+
+      cb?.({ ok: true });
+    });
+
+    /**
+     * DAY WHISPER (whispers setting)
+     * Alive player to alive player; PUBLIC also tells the room who whispered to whom
+     */
+    socket.on("whisper", ({ targetId, message }, cb) => {
+      if (overLimit("chat", cb)) return;
+
+      const { room, player: sender } = sessionOf(socket);
+      if (!room) return cb?.({ error: "Room not found." });
+      if (room.settings.whispers === "OFF") return cb?.({ error: "Whispers are not enabled." });
+      if (!isDayPhase(room)) return cb?.({ error: "Whispers are only allowed during the day." });
+
+      if (!sender || !sender.alive) return cb?.({ error: "Only alive players can whisper." });
+      if (sender.muted) return cb?.({ error: "You are muted by the host." });
+
+      const target = room.players.find((p) => p.id === targetId && p.alive);
+      if (!target) return cb?.({ error: "Target not alive." });
+      if (target === sender) return cb?.({ error: "You cannot whisper to yourself." });
+
+      const { value: text, error } = cleanMessage(message);
+      if (error) return cb?.({ error });
+
+      const payload = chatMessage(room, "WHISPER", sender.name, text, {
+        target: target.name,
+        senderId: sender.id,
+        targetId: target.id,
+      });
+      [sender.id, target.id].forEach((id) => io.to(id).emit("whisper_message", payload));
+
+      if (room.settings.whispers === "PUBLIC") {
+        systemMessage(room, `${sender.name} whispered to ${target.name}.`);
+      }
+
+      cb?.({ ok: true });
+    });
+
+    /**
+     * Host creates room
+     */
+    socket.on("create_room", ({ hostName }, cb) => {
+      if (overLimit("action", cb)) return;
+
+      const host = cleanName(hostName, "Host");
+      if (host.error) return cb({ error: host.error });
+
+      let roomCode = makeRoomCode();
+      while (rooms.has(roomCode)) roomCode = makeRoomCode();
+
+      const room = {
+        roomCode,
+        hostId: socket.id,
+
+        hostName: host.value,
+        phase: PHASES.LOBBY,
+        phaseEndsAt: null,
+        paused: false,
+        pausedRemainingMs: null,
+        round: 1,
+        announcement: "Room created. Waiting for players...",
+        timer: null,
+        feedTimers: [],
+        lastActivityAt: clock.now(),
+        emptySince: null,
+
+        settings: defaultRoomSettings(),
+
+        players: [],
+        bans: [],
+        log: [],
+        dayVotes: {},
+        lockedVotes: {},
+        runoffCandidates: null,
+
+        // watching only (join_room after start, allowSpectators)
+        spectators: [],
+
+        // trial day flow
+        nominations: [],
+        trial: null,
+
+        // day role actions (actorId -> targetId), one per day
+        dayActions: {},
+
+        // night role actions (actorId -> { type, targetId }) + mafia team votes
+        night: {
+          actions: {},
+          mafiaVotes: {},
+        },
+      };
+
+      issueToken(room, "hostToken");
+      rooms.set(roomCode, room);
+      bindSocket(socket, room, "HOST");
+      socket.join(roomCode);
+
+      // IMPORTANT: client expects hostToken
+      cb({ roomCode, hostToken: room.hostToken });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Player joins room
+     */
+    socket.on("join_room", ({ roomCode, playerName }, cb) => {
+      if (overLimit("action", cb)) return;
+
+      roomCode = String(roomCode || "").trim().toUpperCase();
+      const room = getRoom(roomCode);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (sessionOf(socket).room === room) return cb({ error: "You are already in this room." });
+
+      const spectate = room.phase !== PHASES.LOBBY;
+      if (spectate && !room.settings.allowSpectators) return cb({ error: "Game already started." });
+
+      const { value: name, error } = cleanName(playerName, "Player");
+      if (error) return cb({ error });
+      if (isBanned(room, { name })) return cb({ error: "You are banned from this room." });
+
+      if (nameTaken(room, name)) return cb({ error: "Name already taken in this room." });
+
+      // Game running: watch as a spectator (graveyard chat, no role, no vote)
+      if (spectate) {
+        const spectator = addSpectator(socket, room, name);
+        cb({ ok: true, token: spectator.token, spectator: true });
         emitRoomState(roomCode);
         return;
       }
 
-      // Player disconnect
-      const p = room.players.find((x) => x.id === socket.id);
-      if (!p) continue;
+      const player = {
+        id: socket.id,
+        name,
+        role: null,
+        alive: true,
+        connected: true,
+        disconnectedSince: null,
+        lastActionAt: clock.now(),
+      };
+      issueToken(player);
+      room.players.push(player);
+
+      bindSocket(socket, room, "PLAYER", player);
+      socket.join(roomCode);
+
+      cb({ ok: true, token: player.token });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Add a server-side bot player (host, LOBBY)
+     */
+    socket.on("add_bot", ({ strategy, chat, script }, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can add bots." });
+      const { roomCode } = room;
+      if (room.phase !== PHASES.LOBBY) return cb({ error: "Bots can only be added in the lobby." });
+
+      strategy = strategy || "random";
+      if (!BOT_STRATEGIES.includes(strategy)) return cb({ error: "Unknown bot strategy." });
+
+      let n = 1;
+      while (nameTaken(room, `Bot ${n}`)) n++;
+
+      const player = {
+        id: `bot-${makeToken()}`,
+        token: makeToken(),
+        name: `Bot ${n}`,
+        role: null,
+        alive: true,
+        lastActionAt: clock.now(),
+        bot: { strategy, chat: !!chat, script: normalizeScript(script) },
+      };
+      room.players.push(player);
+      attachBot(room, player);
+
+      cb({ ok: true, playerId: player.id, name: player.name });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Watch a room (any phase) as a spectator
+     */
+    socket.on("join_as_spectator", ({ roomCode, name: input }, cb) => {
+      if (overLimit("action", cb)) return;
+
+      roomCode = String(roomCode || "").trim().toUpperCase();
+      const room = getRoom(roomCode);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!room.settings.allowSpectators) {
+        return cb({ error: "Spectators are not allowed in this room." });
+      }
+      if (sessionOf(socket).room === room) return cb({ error: "You are already in this room." });
+
+      const { value: name, error } = cleanName(input, "Spectator");
+      if (error) return cb({ error });
+      if (isBanned(room, { name })) return cb({ error: "You are banned from this room." });
+      if (nameTaken(room, name)) return cb({ error: "Name already taken in this room." });
+
+      const spectator = addSpectator(socket, room, name);
+      cb({ ok: true, token: spectator.token, spectator: true });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Replacement invite for a player's seat (host)
+     * The seat keeps its old token until the invite is used
+     */
+    socket.on("issue_substitute", ({ playerId }, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can issue substitutes." });
+      if (!isRunning(room)) return cb({ error: "Game is not running." });
+
+      const player = room.players.find((p) => p.id === playerId && !p.removed);
+      if (!player) return cb({ error: "Player not found." });
+      if (!player.alive) return cb({ error: "Player is already dead." });
+
+      player.invite = makeToken();
+      logEvent(room, "HOST", { action: `issued a replacement invite for ${player.name}` });
+      saveRoom(room);
+
+      cb({ ok: true, invite: player.invite });
+    });
+
+    /**
+     * Take over a seat with a replacement invite
+     */
+    socket.on("join_as_substitute", ({ roomCode, invite, playerName }, cb) => {
+      if (overLimit("action", cb)) return;
+
+      roomCode = String(roomCode || "").trim().toUpperCase();
+      const room = getRoom(roomCode);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!isRunning(room)) return cb({ error: "Game is not running." });
+
+      invite = String(invite || "").trim();
+      const player = room.players.find((p) => invite && p.invite === invite && !p.removed);
+      if (!player) return cb({ error: "Invalid invite." });
+      if (!player.alive) return cb({ error: "Player is already dead." });
+      if (sessionOf(socket).room === room) return cb({ error: "You are already in this room." });
+
+      const { value: name, error } = cleanName(playerName, player.name);
+      if (error) return cb({ error });
+      if (isBanned(room, { name })) return cb({ error: "You are banned from this room." });
+      if (name.toLowerCase() !== player.name.toLowerCase() && nameTaken(room, name)) {
+        return cb({ error: "Name already taken in this room." });
+      }
+
+      // Old occupant loses the seat
+      io.to(player.id).emit("room_closed", { message: "Your seat was handed to a substitute." });
+      io.in(player.id).socketsLeave(roomCode);
+
+      const oldName = player.name;
+      remapPlayerId(room, player.id, socket.id);
+      Object.assign(player, {
+        id: socket.id,
+        name,
+        invite: null,
+        connected: true,
+        disconnectedSince: null,
+        lastActionAt: clock.now(),
+        missedPhases: 0,
+        bot: null,
+        muted: false,
+      });
+      issueToken(player);
+      bindSocket(socket, room, "PLAYER", player);
+      socket.join(roomCode);
+
+      cb({ ok: true, token: player.token });
+      socket.emit("session_snapshot", sessionSnapshot(room, player));
+
+      // Mafia teammates see the new name
+      if (isMafia(player)) {
+        room.players.filter((p) => p.alive && isMafia(p)).forEach((p) => sendRole(room, p));
+      }
+
+      const message = `${oldName} was replaced by ${name}.`;
+      logEvent(room, "REPLACED", { from: oldName, to: name });
+      systemMessage(room, message);
+      room.announcement = message;
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Host starts game
+     */
+    socket.on("start_game", (_, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can start." });
+      const { roomCode } = room;
+
+      if (room.phase !== PHASES.LOBBY) return cb({ error: "Game already started." });
+
+      const { settings } = room;
+      if (room.players.length < settings.minPlayers) {
+        return cb({ error: `Minimum ${settings.minPlayers} players required.` });
+      }
+
+      const mafiaCount = settings.mafiaCount ?? defaultMafiaCount(room.players.length);
+      if (mafiaCount * 2 >= room.players.length) {
+        return cb({ error: "Too many mafia for this many players." });
+      }
+      if (settings.extraRoles.GODFATHER > mafiaCount) {
+        return cb({ error: "Not enough mafia slots for the Godfather." });
+      }
+      if (mafiaCount + specialRoleCount(settings) > room.players.length) {
+        return cb({ error: "Not enough players for this role setup." });
+      }
+
+      // Same seed + same moves => same game (seed is in the log)
+      room.seed = settings.seed ?? makeSeed(random);
+      room.rngState = room.seed;
+
+      assignRoles(room);
+      sendPrivateRoles(room);
+      logEvent(room, "GAME_START", {
+        seed: room.seed,
+        roles: room.players.map((p) => ({ name: p.name, role: p.role })),
+      });
+
+      room.announcement = `Game started. Day Discussion begins (${formatDuration(
+        settings.timers.DAY_DISCUSSION
+      )}).`;
+      startPhase(roomCode, PHASES.DAY_DISCUSSION, settings.timers.DAY_DISCUSSION);
+
+      cb({ ok: true });
+    });
+
+    /**
+     * Host updates room settings (LOBBY only)
+     */
+    socket.on("update_settings", ({ settings }, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can change settings." });
+      const { roomCode } = room;
+      if (room.phase !== PHASES.LOBBY) return cb({ error: "Settings can only change in the lobby." });
+
+      const result = validateSettings(settings, room.settings);
+      if (result.error) return cb({ error: result.error });
+
+      room.settings = result.settings;
+      cb({ ok: true, settings: room.settings });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Host pauses the game (timer frozen)
+     */
+    socket.on("pause_game", (_, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can pause." });
+      const { roomCode } = room;
+      if (!isRunning(room)) return cb({ error: "Game is not running." });
+      if (room.paused) return cb({ error: "Game already paused." });
+
+      pausePhase(room);
+      logEvent(room, "HOST", { action: "paused the game" });
+      cb({ ok: true });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Host resumes a paused game
+     */
+    socket.on("resume_game", (_, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can resume." });
+      const { roomCode } = room;
+      if (!isRunning(room)) return cb({ error: "Game is not running." });
+      if (!room.paused) return cb({ error: "Game is not paused." });
+
+      resumePhase(roomCode);
+      logEvent(room, "HOST", { action: "resumed the game" });
+      cb({ ok: true });
+
+      emitRoomState(roomCode);
+      maybeAdvanceEarly(roomCode);
+    });
+
+    /**
+     * Host skips to the next phase
+     * Runs the normal phase resolution; the next phase starts unpaused
+     */
+    socket.on("skip_phase", (_, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can skip." });
+      const { roomCode } = room;
+      if (!isRunning(room)) return cb({ error: "Game is not running." });
+
+      if (room.timer) clock.clearTimeout(room.timer);
+      room.timer = null;
+
+      logEvent(room, "HOST", { action: `skipped ${room.phase}` });
+      advancePhase(roomCode);
+      cb({ ok: true });
+    });
+
+    /**
+     * Host adds (seconds > 0) or removes (seconds < 0) time
+     * Current phase keeps at least 1 second
+     */
+    socket.on("adjust_timer", ({ seconds }, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can change the timer." });
+      const { roomCode } = room;
+      if (!isRunning(room)) return cb({ error: "Game is not running." });
+
+      const delta = Number(seconds);
+      if (!Number.isInteger(delta) || delta === 0 || Math.abs(delta) > TIMER_LIMITS.max) {
+        return cb({ error: "Invalid number of seconds." });
+      }
+
+      if (room.paused) {
+        room.pausedRemainingMs = Math.max(1000, room.pausedRemainingMs + delta * 1000);
+      } else {
+        const left = room.phaseEndsAt - clock.now();
+        scheduleAdvance(roomCode, Math.max(1000, left + delta * 1000));
+      }
+
+      logEvent(room, "HOST", { action: `${delta > 0 ? "added" : "removed"} ${Math.abs(delta)}s` });
+
+      cb({ ok: true });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Host closes the room
+     */
+    socket.on("close_room", (_, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can close the room." });
+      const { roomCode } = room;
+
+      cb({ ok: true });
+      closeRoom(roomCode, "The host closed the room.");
+    });
+
+    /**
+     * Host starts a new game with the same players
+     */
+    socket.on("play_again", (_, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can start a new game." });
+      const { roomCode } = room;
+      if (room.phase !== PHASES.ENDED) return cb({ error: "Game is not over yet." });
+
+      resetToLobby(room);
+      cb({ ok: true });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Host kicks / bans a player
+     */
+    socket.on("kick_player", ({ playerId }, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can kick players." });
+      const { roomCode } = room;
+
+      const player = room.players.find((p) => p.id === playerId && !p.removed);
+      if (!player) return cb({ error: "Player not found." });
+
+      removePlayer(roomCode, player, { ban: false });
+      cb({ ok: true });
+    });
+
+    socket.on("ban_player", ({ playerId }, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can ban players." });
+      const { roomCode } = room;
+
+      const player = room.players.find((p) => p.id === playerId && !p.removed);
+      if (!player) return cb({ error: "Player not found." });
+
+      removePlayer(roomCode, player, { ban: true });
+      cb({ ok: true });
+    });
+
+    /**
+     * Host mutes / unmutes a player (every chat channel)
+     */
+    socket.on("mute_player", ({ playerId, muted }, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can mute players." });
+
+      const player = room.players.find((p) => p.id === playerId && !p.removed);
+      if (!player) return cb({ error: "Player not found." });
+
+      player.muted = !!muted;
+      logEvent(room, "HOST", { action: `${player.muted ? "muted" : "unmuted"} ${player.name}` });
+      cb({ ok: true });
+
+      emitRoomState(room.roomCode);
+    });
+
+    /**
+     * Host deletes a chat message: every client replaces it with a redaction
+     */
+    socket.on("delete_message", ({ messageId }, cb) => {
+      const { room, host } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (!host) return cb({ error: "Only host can delete messages." });
+
+      const entry = redactChat(room.log, Number(messageId));
+      if (!entry) return cb({ error: "Message not found." });
+
+      logEvent(room, "HOST", { action: `deleted a message from ${entry.sender}` });
+      saveRoom(room);
+
+      io.to(room.roomCode).emit("chat_message_deleted", { id: entry.messageId });
+      cb({ ok: true });
+    });
+
+    /**
+     * Day vote
+     */
+    socket.on("cast_vote", ({ targetId }, cb) => {
+      if (overLimit("action", cb)) return;
+
+      const { room, player: voter } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      const { roomCode } = room;
+      if (!isDayVote(room)) return cb({ error: "Not voting phase." });
+
+      if (!voter || !voter.alive) return cb({ error: "You are not alive." });
+
+      if (!isValidDayTarget(room, targetId)) {
+        if (targetId === NO_LYNCH) return cb({ error: "No lynch is not allowed." });
+        if (room.phase === PHASES.DAY_RUNOFF) return cb({ error: "Runoff: vote for a tied player." });
+        return cb({ error: "Target not alive." });
+      }
+
+      const target = room.players.find((p) => p.id === targetId);
+
+      const current = room.dayVotes[socket.id];
+      if (current && current !== targetId) {
+        if (room.settings.voteChange === "FINAL") return cb({ error: "Votes cannot be changed." });
+        if (room.lockedVotes[socket.id]) return cb({ error: "Your vote is locked in." });
+      }
+
+      room.dayVotes[socket.id] = targetId;
+      logEvent(room, "DAY_VOTE", { voter: voter.name, target: target ? target.name : "No lynch" });
+      cb({ ok: true });
+
+      emitRoomState(roomCode);
+      maybeAdvanceEarly(roomCode);
+    });
+
+    /**
+     * Take back own day vote (allowUnvote)
+     */
+    socket.on("unvote", (_, cb) => {
+      if (overLimit("action", cb)) return;
+
+      const { room, player: voter } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      const { roomCode } = room;
+      if (!isDayVote(room)) return cb({ error: "Not voting phase." });
+      if (!room.settings.allowUnvote || room.settings.voteChange === "FINAL") {
+        return cb({ error: "Unvoting is not allowed." });
+      }
+
+      if (!voter || !voter.alive) return cb({ error: "You are not alive." });
+      if (!room.dayVotes[socket.id]) return cb({ error: "You have not voted." });
+      if (room.lockedVotes[socket.id]) return cb({ error: "Your vote is locked in." });
+
+      delete room.dayVotes[socket.id];
+      logEvent(room, "UNVOTE", { voter: voter.name });
+      cb({ ok: true });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Lock in own day vote (voteChange = LOCK_IN)
+     */
+    socket.on("lock_vote", (_, cb) => {
+      if (overLimit("action", cb)) return;
+
+      const { room, player: voter } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      const { roomCode } = room;
+      if (!isDayVote(room)) return cb({ error: "Not voting phase." });
+      if (room.settings.voteChange !== "LOCK_IN") return cb({ error: "Vote lock is not enabled." });
+
+      if (!voter || !voter.alive) return cb({ error: "You are not alive." });
+      if (!room.dayVotes[socket.id]) return cb({ error: "You have not voted." });
+
+      room.lockedVotes[socket.id] = true;
+      cb({ ok: true });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Trial day flow: nominate a suspect (once per day)
+     */
+    socket.on("nominate", ({ targetId }, cb) => {
+      if (overLimit("action", cb)) return;
+
+      const { room, player: nominator } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      const { roomCode } = room;
+      if (room.settings.dayFlow !== "TRIAL") return cb({ error: "Nominations are not enabled." });
+      if (room.phase !== PHASES.DAY_DISCUSSION) return cb({ error: "Nominate during discussion." });
+
+      const target = room.players.find((p) => p.id === targetId);
+
+      if (!nominator || !nominator.alive) return cb({ error: "You are not alive." });
+      if (!target || !target.alive) return cb({ error: "Target not alive." });
+      if (target.id === nominator.id) return cb({ error: "You cannot nominate yourself." });
+      if (room.nominations.some((n) => n.nominatorId === socket.id)) {
+        return cb({ error: "You already nominated today." });
+      }
+      if (room.nominations.some((n) => n.targetId === targetId)) {
+        return cb({ error: "Already nominated." });
+      }
+
+      room.nominations.push({ targetId, nominatorId: socket.id, seconderId: null });
+      logEvent(room, "NOMINATE", { nominator: nominator.name, target: target.name });
+      cb({ ok: true });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Trial day flow: second someone else's nomination
+     */
+    socket.on("second_nomination", ({ targetId }, cb) => {
+      if (overLimit("action", cb)) return;
+
+      const { room, player: seconder } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      const { roomCode } = room;
+      if (room.settings.dayFlow !== "TRIAL") return cb({ error: "Nominations are not enabled." });
+      if (room.phase !== PHASES.DAY_DISCUSSION) return cb({ error: "Second during discussion." });
+
+      if (!seconder || !seconder.alive) return cb({ error: "You are not alive." });
+
+      const nomination = room.nominations.find((n) => n.targetId === targetId);
+      if (!nomination) return cb({ error: "No such nomination." });
+      if (nomination.seconderId) return cb({ error: "Already seconded." });
+      if (nomination.nominatorId === socket.id || nomination.targetId === socket.id) {
+        return cb({ error: "You cannot second this nomination." });
+      }
+
+      nomination.seconderId = socket.id;
+      const target = room.players.find((p) => p.id === targetId);
+      logEvent(room, "SECOND", { seconder: seconder.name, target: target.name });
+      cb({ ok: true });
+
+      emitRoomState(roomCode);
+    });
+
+    /**
+     * Trial day flow: guilty / innocent
+     */
+    socket.on("cast_verdict", ({ verdict }, cb) => {
+      if (overLimit("action", cb)) return;
+
+      const { room, player: voter } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      const { roomCode } = room;
+      if (room.phase !== PHASES.TRIAL_VOTE) return cb({ error: "Not trial vote phase." });
+
+      if (!voter || !voter.alive) return cb({ error: "You are not alive." });
+      if (voter.id === room.trial.defendantId) return cb({ error: "The defendant cannot vote." });
+      if (verdict !== "GUILTY" && verdict !== "INNOCENT") return cb({ error: "Invalid verdict." });
+
+      room.trial.verdicts[socket.id] = verdict;
+      logEvent(room, "VERDICT", { voter: voter.name, verdict });
+      cb({ ok: true });
 
-      room.announcement = `${p.name} disconnected (can reconnect).`;
       emitRoomState(roomCode);
+      maybeAdvanceEarly(roomCode);
+    });
+
+    /**
+     * Role actions (any role with an action, see lib/roles.js)
+     * role_action is the generic event; the old per-role events
+     * stay as aliases that only accept their action type
+     */
+    const roleActionHandler = (expectedType) => ({ targetId }, cb) => {
+      if (overLimit("action", cb)) return;
+
+      const { room, player: actor } = sessionOf(socket);
+      if (!room) return cb({ error: "Room not found." });
+      const { roomCode } = room;
+
+      const result = submitRoleAction(room, actor, targetId, expectedType);
+      if (result.error) return cb(result);
+
+      saveRoom(room);
+      emitPrivateViews(room);
+      cb({ ok: true });
+
+      maybeAdvanceEarly(roomCode);
+    };
+
+    socket.on("role_action", roleActionHandler(null));
+    socket.on("doctor_protect", roleActionHandler("PROTECT"));
+    socket.on("mafia_vote_kill", roleActionHandler("KILL"));
+    socket.on("detective_check", roleActionHandler("INVESTIGATE"));
+
+    /**
+     * Game log (after game over)
+     */
+    socket.on("get_game_log", (_, cb) => {
+      const { room } = sessionOf(socket);
+
+      if (!room) return cb({ error: "Room not found." });
+      if (room.phase !== PHASES.ENDED) return cb({ error: "Log is available after the game ends." });
+
+      cb({ ok: true, log: room.log });
+    });
+
+    /**
+     * Disconnect
+     * Do NOT kill/remove player on refresh.
+     * They can reconnect using token.
+     */
+    socket.on("disconnect", () => {
+      log("Disconnected:", socket.id);
+      releaseSeat(socket);
+    });
+  }
+
+  io.on("connection", handleConnection);
+
+  /**
+   * Load saved rooms and resume running phase timers
+   */
+  function restoreRooms() {
+    for (const room of store.load()) {
+      room.timer = null;
+      room.feedTimers = [];
+      room.emptySince = null;
+      room.lastActivityAt = room.lastActivityAt || clock.now();
+      room.spectators = room.spectators || [];
+      // Rooms saved before newer settings existed get their defaults
+      room.settings = { ...defaultRoomSettings(), ...room.settings };
+
+      // Sockets are gone after a restart
+      room.players.forEach((p) => {
+        if (p.connected) p.disconnectedSince = clock.now();
+        p.connected = false;
+      });
+      room.players.filter((p) => p.bot && !p.removed).forEach((p) => attachBot(room, p));
+      rooms.set(room.roomCode, room);
+
+      if (isRunning(room) && !room.paused) {
+        scheduleAdvance(room.roomCode, Math.max(0, room.phaseEndsAt - clock.now()));
+        scheduleBots(room.roomCode);
+      }
     }
-  });
-});
+
+    if (rooms.size) log("Restored rooms:", rooms.size);
+  }
+
+  restoreRooms();
+  const cleanupTimer = clock.setInterval(cleanupRooms, CLEANUP_INTERVAL_MS);
+
+  return {
+    app,
+    server,
+    io,
+    rooms,
+    handleConnection,
+    listen: (port, cb) => server.listen(port, cb),
+
+    // Stop timers and close every socket and the HTTP server
+    close(cb) {
+      clock.clearInterval(cleanupTimer);
+      rooms.forEach(clearRoomTimers);
+      io.close(cb);
+    },
+  };
+}
+
+module.exports = { createServer, PHASES, SETTINGS };
 
 /**
  * IMPORTANT for hosting:
  * Must use process.env.PORT
  */
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log("Mafia server running on port:", PORT);
-});
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+
+  // Dev mode: CLOCK_SPEED=10 runs every phase 10x faster
+  const speed = Number(process.env.CLOCK_SPEED) || 1;
+  const clock = speed === 1 ? systemClock : scaledClock(speed);
+
+  createServer({ clock }).listen(PORT, () => {
+    console.log("Mafia server running on port:", PORT, speed === 1 ? "" : `(clock x${speed})`);
+  });
+}
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { maskWords, findMentions } = require("../lib/chat");
+const { startServer, call, waitFor, createRoom, startGame } = require("./helpers");
+
+test("maskWords masks whole words only, case-insensitive", () => {
+  assert.equal(maskWords("Darn it, darned DARN", ["darn"]), "**** it, darned ****");
+  assert.equal(maskWords("nothing here", []), "nothing here");
+});
+
+test("findMentions matches room names after @, spaces included", () => {
+  const names = ["Ana María", "Bo", "Bob"];
+  assert.deepEqual(findMentions("@ana maría and @Bob?", names), ["Ana María", "Bob"]);
+  assert.deepEqual(findMentions("mail bo@example", names), []);
+});
+
+test("public chat carries an id, ISO time, mentions and the word filter", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6, { wordFilter: "darn, heck" });
+  await startGame(ctx, setup);
+  const [speaker, listener] = setup.players;
+
+  await call(speaker, "public_chat", { roomCode: setup.roomCode, message: "@p2 darn it" });
+  const m = await waitFor(listener, "public_chat_message");
+
+  assert.equal(m.message, "@p2 **** it");
+  assert.deepEqual(m.mentions, ["P2"]);
+  assert.equal(m.time, new Date(ctx.clock.now()).toISOString());
+  assert.equal(typeof m.id, "number");
+
+  // Saved right away, so the backlog survives a restart
+  const saved = ctx.store.load().find((r) => r.roomCode === setup.roomCode);
+  assert.equal(saved.log.at(-1).message, "@p2 **** it");
+});
+
+test("whispers follow the room rule and reach only the pair", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  for (const whispers of ["OFF", "PRIVATE", "PUBLIC"]) {
+    const setup = await createRoom(ctx, 6, { whispers });
+    await startGame(ctx, setup);
+    const [from, to, other] = setup.players;
+    const whisper = () => call(from, "whisper", { targetId: to.id, message: "psst" });
+
+    if (whispers === "OFF") {
+      assert.deepEqual(await whisper(), { error: "Whispers are not enabled." });
+      continue;
+    }
+
+    assert.deepEqual(await whisper(), { ok: true });
+    const m = await waitFor(to, "whisper_message");
+    assert.deepEqual([m.senderName, m.targetName, m.message], ["P1", "P2", "psst"]);
+
+    // other's own message comes after anything the server sent it before
+    await call(other, "public_chat", { message: "sync" });
+    await waitFor(other, "public_chat_message", (p) => p.message === "sync");
+
+    const notice = (e) => e.event === "public_chat_message" && /whispered/.test(e.payload.message);
+    assert.equal(other.events.some((e) => e.event === "whisper_message"), false);
+    assert.equal(other.events.some(notice), whispers === "PUBLIC");
+  }
+});
+
+test("host mutes a player and deletes a message", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const { room } = await startGame(ctx, setup);
+  const { host, players } = setup;
+  const [talker] = players;
+
+  await call(talker, "public_chat", { message: "something rude" });
+  const { id } = await waitFor(players[1], "public_chat_message");
+
+  assert.deepEqual(await call(talker, "delete_message", { messageId: id }), {
+    error: "Only host can delete messages.",
+  });
+  assert.deepEqual(await call(host, "delete_message", { messageId: id }), { ok: true });
+  assert.deepEqual(await waitFor(players[1], "chat_message_deleted"), { id });
+
+  const entry = room.log.find((e) => e.messageId === id);
+  assert.equal(entry.message, null);
+  assert.match(entry.text, /deleted by host/);
+
+  const target = room.players.find((p) => p.id === talker.id);
+  assert.deepEqual(await call(host, "mute_player", { playerId: target.id, muted: true }), { ok: true });
+  assert.deepEqual(await call(talker, "public_chat", { message: "hello?" }), {
+    error: "You are muted by the host.",
+  });
+});
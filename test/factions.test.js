@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateWin } = require("../lib/factions");
+
+const seat = (name, role, extra = {}) => ({ name, role, alive: true, ...extra });
+const names = (result) => result.winners.map((p) => p.name);
+
+test("the game goes on while Town and a hostile faction are both alive", () => {
+  const players = [seat("A", "TOWN"), seat("B", "DETECTIVE"), seat("C", "MAFIA")];
+  assert.equal(evaluateWin(players), null);
+});
+
+test("Town wins once no hostile player is left", () => {
+  const players = [seat("A", "TOWN"), seat("B", "DOCTOR"), seat("C", "MAFIA", { alive: false })];
+  const result = evaluateWin(players);
+
+  assert.deepEqual(result.factions, ["TOWN"]);
+  assert.deepEqual(names(result), ["A", "B"]);
+});
+
+test("Mafia win at parity, not while a Serial Killer lives", () => {
+  const parity = [seat("A", "TOWN"), seat("B", "MAFIA"), seat("C", "TOWN", { alive: false })];
+  assert.deepEqual(evaluateWin(parity).factions, ["MAFIA"]);
+
+  const withKiller = [seat("A", "MAFIA"), seat("B", "SERIAL_KILLER"), seat("C", "TOWN")];
+  assert.equal(evaluateWin(withKiller), null);
+});
+
+test("a lone Jester is a draw, not a Town win", () => {
+  const players = [
+    seat("A", "TOWN", { alive: false }),
+    seat("B", "MAFIA", { alive: false }),
+    seat("C", "JESTER"),
+  ];
+  assert.deepEqual(evaluateWin(players), { factions: [], winners: [] });
+});
+
+test("everyone dead is a draw", () => {
+  const players = [seat("A", "TOWN", { alive: false }), seat("B", "MAFIA", { alive: false })];
+  assert.deepEqual(evaluateWin(players), { factions: [], winners: [] });
+});
+
+test("a lynched Jester wins alongside the faction that ends the game", () => {
+  const players = [
+    seat("A", "TOWN"),
+    seat("B", "MAFIA", { alive: false }),
+    seat("C", "JESTER", { alive: false, lynched: true }),
+  ];
+  const result = evaluateWin(players);
+
+  assert.deepEqual(result.factions, ["TOWN", "JESTER"]);
+  assert.deepEqual(names(result), ["A", "C"]);
+});
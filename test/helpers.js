@@ -0,0 +1,122 @@
+const { io: connect } = require("socket.io-client");
+const { createServer } = require("../server");
+const { createRoomStore } = require("../lib/roomStore");
+const { manualClock } = require("../lib/clock");
+
+// Fixed start so logs and timers are the same on every run
+const START_TIME = Date.UTC(2024, 0, 1);
+
+/**
+ * Game server on a random port with a manual clock and memory store
+ * Pass the same store to a second server to test a restart
+ */
+async function startServer(options = {}) {
+  const clock = options.clock || manualClock(START_TIME);
+  const store = options.store || createRoomStore("memory");
+  const game = createServer({ clock, store, log: () => {}, ...options });
+
+  await new Promise((resolve) => game.listen(0, resolve));
+  const url = `http://localhost:${game.server.address().port}`;
+
+  const clients = [];
+
+  return {
+    game,
+    clock,
+    store,
+    url,
+
+    // Connected client; every received event is kept in socket.events
+    async client() {
+      const socket = connect(url, { transports: ["websocket"], forceNew: true });
+      socket.events = [];
+      socket.onAny((event, payload) => socket.events.push({ event, payload }));
+      clients.push(socket);
+
+      await new Promise((resolve) => socket.once("connect", resolve));
+      return socket;
+    },
+
+    close() {
+      clients.forEach((socket) => socket.disconnect());
+      return new Promise((resolve) => game.close(resolve));
+    },
+  };
+}
+
+function call(socket, event, payload = {}) {
+  return new Promise((resolve) => socket.emit(event, payload, resolve));
+}
+
+/**
+ * Next event matching the predicate (already received ones count)
+ */
+function waitFor(socket, event, predicate = () => true, timeoutMs = 2000) {
+  const seen = socket.events.find((e) => e.event === event && predicate(e.payload));
+  if (seen) return Promise.resolve(seen.payload);
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+
+    function onEvent(payload) {
+      if (!predicate(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, onEvent);
+      resolve(payload);
+    }
+
+    socket.on(event, onEvent);
+  });
+}
+
+/**
+ * Host + n players (P1..Pn) in one room, settings applied
+ */
+async function createRoom(ctx, n, settings) {
+  const host = await ctx.client();
+  const { roomCode, hostToken } = await call(host, "create_room", { hostName: "Host" });
+
+  if (settings) {
+    const res = await call(host, "update_settings", { roomCode, settings });
+    if (res.error) throw new Error(res.error);
+  }
+
+  const players = [];
+  for (let i = 1; i <= n; i++) {
+    const socket = await ctx.client();
+    const res = await call(socket, "join_room", { roomCode, playerName: `P${i}` });
+    socket.token = res.token;
+    players.push(socket);
+  }
+
+  return { host, hostToken, roomCode, players };
+}
+
+/**
+ * Start the game; returns helpers to find sockets by role
+ */
+async function startGame(ctx, setup) {
+  const res = await call(setup.host, "start_game", { roomCode: setup.roomCode });
+  if (res.error) throw new Error(res.error);
+
+  const room = ctx.game.rooms.get(setup.roomCode);
+  const playerOf = (socket) => room.players.find((p) => p.id === socket.id);
+  const withRole = (role) => setup.players.filter((s) => playerOf(s).role === role);
+
+  return { room, playerOf, withRole };
+}
+
+/**
+ * Let phase timers run out until the room reaches the phase
+ */
+function tickTo(ctx, room, phase) {
+  for (let i = 0; i < 20 && room.phase !== phase; i++) {
+    ctx.clock.tick(room.settings.timers[room.phase] * 1000);
+  }
+  if (room.phase !== phase) throw new Error(`Never reached ${phase} (at ${room.phase})`);
+}
+
+module.exports = { startServer, call, waitFor, createRoom, startGame, tickTo };
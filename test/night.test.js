@@ -0,0 +1,177 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, call, waitFor, createRoom, startGame, tickTo } = require("./helpers");
+
+/**
+ * Both mafia vote to kill the target; the Doctor protects protectTarget
+ */
+async function playNight(ctx, setup, game, { target, protectTarget }) {
+  const { roomCode } = setup;
+  const [doctor] = game.withRole("DOCTOR");
+
+  tickTo(ctx, game.room, "DOCTOR");
+  if (protectTarget) {
+    assert.deepEqual(await call(doctor, "role_action", { roomCode, targetId: protectTarget.id }), {
+      ok: true,
+    });
+  }
+
+  tickTo(ctx, game.room, "MAFIA");
+  for (const mafia of game.withRole("MAFIA")) {
+    assert.deepEqual(await call(mafia, "role_action", { roomCode, targetId: target.id }), { ok: true });
+  }
+
+  tickTo(ctx, game.room, "ANNOUNCEMENT");
+}
+
+test("mafia kill succeeds without a Doctor save", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const game = await startGame(ctx, setup);
+  const [target] = game.withRole("TOWN");
+
+  await playNight(ctx, setup, game, { target });
+
+  assert.equal(game.playerOf(target).alive, false);
+  assert.match(game.room.announcement, /P\d was killed by the Mafia\. Role: TOWN/);
+});
+
+test("Doctor protecting the mafia target saves them", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const game = await startGame(ctx, setup);
+  const [target] = game.withRole("TOWN");
+
+  await playNight(ctx, setup, game, { target, protectTarget: target });
+
+  assert.equal(game.playerOf(target).alive, true);
+  assert.match(game.room.announcement, /saved by Doctor/);
+});
+
+test("Doctor self-protection follows doctorSelfProtect", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6, { doctorSelfProtect: "NEVER" });
+  const game = await startGame(ctx, setup);
+  const [doctor] = game.withRole("DOCTOR");
+
+  tickTo(ctx, game.room, "DOCTOR");
+  const res = await call(doctor, "role_action", { roomCode: setup.roomCode, targetId: doctor.id });
+  assert.deepEqual(res, { error: "You cannot target yourself." });
+});
+
+test("Detective can check one player per day and gets the result", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const game = await startGame(ctx, setup);
+  const { roomCode } = setup;
+  const [detective] = game.withRole("DETECTIVE");
+  const [mafia] = game.withRole("MAFIA");
+  const [town] = game.withRole("TOWN");
+
+  assert.deepEqual(await call(detective, "role_action", { roomCode, targetId: mafia.id }), { ok: true });
+  const result = await waitFor(detective, "detective_result");
+  assert.deepEqual(result, { round: 1, targetName: game.playerOf(mafia).name, result: "MAFIA" });
+
+  // One check per day, also through the legacy event
+  assert.deepEqual(await call(detective, "detective_check", { roomCode, targetId: town.id }), {
+    error: "You already used your action this phase.",
+  });
+
+  // No checks at night in the default DAY mode, a new one the next day
+  tickTo(ctx, game.room, "DOCTOR");
+  assert.deepEqual(await call(detective, "role_action", { roomCode, targetId: town.id }), {
+    error: "Investigate is not possible in this phase.",
+  });
+
+  tickTo(ctx, game.room, "DAY_DISCUSSION");
+  assert.deepEqual(await call(detective, "role_action", { roomCode, targetId: town.id }), { ok: true });
+  assert.equal(game.playerOf(detective).investigations.length, 2);
+});
+
+test("only the Detective can investigate", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const game = await startGame(ctx, setup);
+  const [town, other] = game.withRole("TOWN");
+  const [mafia] = game.withRole("MAFIA");
+  const check = (socket, target) =>
+    call(socket, "detective_check", { roomCode: setup.roomCode, targetId: target.id });
+
+  assert.deepEqual(await check(town, other), { error: "Your role has no such action." });
+  assert.deepEqual(await check(mafia, town), { error: "Your role has no such action." });
+});
+
+test("night actions do not show up as player activity", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const game = await startGame(ctx, setup);
+  const [mafia] = game.withRole("MAFIA");
+  const [town] = game.withRole("TOWN");
+  const before = game.playerOf(mafia).lastActionAt;
+
+  tickTo(ctx, game.room, "MAFIA");
+  await call(mafia, "role_action", { roomCode: setup.roomCode, targetId: town.id });
+  await call(mafia, "mafia_chat", { roomCode: setup.roomCode, message: "done" });
+
+  assert.equal(game.playerOf(mafia).lastActionAt, before);
+  const state = await waitFor(town, "room_state", (s) => s.phase === "MAFIA");
+  assert.ok(state.players.every((p) => !("lastActionAt" in p)));
+});
+
+test("an Escort roleblock stops a night check with immediate delivery", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 7, {
+    detectivePhase: "NIGHT",
+    detectiveDelivery: "IMMEDIATE",
+    extraRoles: { ESCORT: 1 },
+  });
+  const game = await startGame(ctx, setup);
+  const { roomCode } = setup;
+  const [detective] = game.withRole("DETECTIVE");
+  const [escort] = game.withRole("ESCORT");
+  const [mafia] = game.withRole("MAFIA");
+
+  tickTo(ctx, game.room, "DOCTOR");
+  assert.deepEqual(await call(detective, "role_action", { roomCode, targetId: mafia.id }), { ok: true });
+  assert.deepEqual(await call(escort, "role_action", { roomCode, targetId: detective.id }), { ok: true });
+  assert.equal(detective.events.some((e) => e.event === "detective_result"), false);
+
+  tickTo(ctx, game.room, "ANNOUNCEMENT");
+  const result = await waitFor(detective, "detective_result");
+  assert.deepEqual(result, { round: 1, targetName: game.playerOf(mafia).name, result: "ROLEBLOCKED" });
+});
+
+test("afkSkipNight ends a night phase left to disconnected actors without early advance", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6, { afkSkipNight: true });
+  const game = await startGame(ctx, setup);
+  const [gone, mafia] = game.withRole("MAFIA");
+  const [target] = game.withRole("TOWN");
+  const goneId = gone.id;
+
+  tickTo(ctx, game.room, "MAFIA");
+  gone.disconnect();
+  await waitFor(setup.host, "room_state", (s) => s.players.some((p) => p.id === goneId && !p.connected));
+  assert.equal(game.room.phase, "MAFIA");
+
+  assert.deepEqual(await call(mafia, "role_action", { roomCode: setup.roomCode, targetId: target.id }), {
+    ok: true,
+  });
+  assert.equal(game.room.phase, "EXECUTION");
+});
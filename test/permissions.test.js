@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, call, createRoom, startGame, tickTo } = require("./helpers");
+
+test("host-only events are rejected for players", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const { roomCode, players } = setup;
+  const [player, other] = players;
+
+  assert.deepEqual(await call(player, "start_game", { roomCode }), { error: "Only host can start." });
+  assert.deepEqual(await call(player, "update_settings", { roomCode, settings: { doctor: false } }), {
+    error: "Only host can change settings.",
+  });
+  assert.deepEqual(await call(player, "kick_player", { roomCode, playerId: other.id }), {
+    error: "Only host can kick players.",
+  });
+  assert.deepEqual(await call(player, "add_bot", { roomCode }), { error: "Only host can add bots." });
+
+  await startGame(ctx, setup);
+
+  assert.deepEqual(await call(player, "pause_game", { roomCode }), { error: "Only host can pause." });
+  assert.deepEqual(await call(player, "skip_phase", { roomCode }), { error: "Only host can skip." });
+  assert.deepEqual(await call(player, "close_room", { roomCode }), {
+    error: "Only host can close the room.",
+  });
+});
+
+test("the lobby closes once the game started", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  await startGame(ctx, setup);
+
+  const late = await ctx.client();
+  assert.deepEqual(await call(late, "join_room", { roomCode: setup.roomCode, playerName: "Late" }), {
+    error: "Game already started.",
+  });
+  assert.deepEqual(await call(setup.host, "start_game", { roomCode: setup.roomCode }), {
+    error: "Game already started.",
+  });
+});
+
+test("votes and actions outside their phase are rejected", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const game = await startGame(ctx, setup);
+  const { roomCode } = setup;
+  const [mafia] = game.withRole("MAFIA");
+  const [doctor] = game.withRole("DOCTOR");
+  const [town] = game.withRole("TOWN");
+
+  assert.deepEqual(await call(town, "cast_vote", { roomCode, targetId: mafia.id }), {
+    error: "Not voting phase.",
+  });
+  assert.deepEqual(await call(mafia, "role_action", { roomCode, targetId: town.id }), {
+    error: "Vote Kill is not possible in this phase.",
+  });
+  assert.deepEqual(await call(doctor, "doctor_protect", { roomCode, targetId: town.id }), {
+    error: "Protect is not possible in this phase.",
+  });
+  assert.deepEqual(await call(setup.host, "cast_vote", { roomCode, targetId: town.id }), {
+    error: "Not voting phase.",
+  });
+
+  tickTo(ctx, game.room, "DAY_VOTING");
+  assert.deepEqual(await call(setup.host, "cast_vote", { roomCode, targetId: town.id }), {
+    error: "You are not alive.",
+  });
+});
+
+test("chat channels check who may write", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const game = await startGame(ctx, setup);
+  const { roomCode } = setup;
+  const [town] = game.withRole("TOWN");
+  const [mafia] = game.withRole("MAFIA");
+
+  assert.deepEqual(await call(town, "mafia_chat", { roomCode, message: "hi" }), {
+    error: "Only Mafia can use mafia chat.",
+  });
+  assert.deepEqual(await call(mafia, "mafia_chat", { roomCode, message: "hi" }), { ok: true });
+  assert.deepEqual(await call(setup.host, "public_chat", { roomCode, message: "hi" }), {
+    error: "Host cannot send public chat.",
+  });
+
+  // Lynched players move to the graveyard chat
+  tickTo(ctx, game.room, "DAY_VOTING");
+  for (const voter of setup.players.filter((s) => s !== town).slice(0, 3)) {
+    await call(voter, "cast_vote", { roomCode, targetId: town.id });
+  }
+  tickTo(ctx, game.room, "SLEEP");
+
+  assert.equal(game.playerOf(town).alive, false);
+  assert.deepEqual(await call(town, "public_chat", { roomCode, message: "hi" }), {
+    error: "Dead players cannot send public chat.",
+  });
+  assert.deepEqual(await call(town, "dead_chat", { roomCode, message: "hi" }), { ok: true });
+});
+
+test("settings reject inherited object keys", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const { host, roomCode } = await createRoom(ctx, 6);
+  const res = await call(host, "update_settings", { roomCode, settings: { extraRoles: { constructor: 2 } } });
+
+  assert.deepEqual(res, { error: "Unknown role: constructor" });
+
+  const timers = await call(host, "update_settings", { roomCode, settings: { timers: { toString: 30 } } });
+  assert.deepEqual(timers, { error: "Unknown timer: toString" });
+  const other = await call(host, "update_settings", { roomCode, settings: { valueOf: 1 } });
+  assert.deepEqual(other, { error: "Unknown setting: valueOf" });
+});
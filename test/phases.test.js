@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, call, waitFor, createRoom, startGame } = require("./helpers");
+
+test("phases run through a full day / night cycle on the clock", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const { room } = await startGame(ctx, setup);
+  const { timers } = room.settings;
+
+  assert.equal(room.phase, "DAY_DISCUSSION");
+  assert.equal(room.round, 1);
+
+  const cycle = [
+    ["DAY_DISCUSSION", "DAY_VOTING"],
+    ["DAY_VOTING", "SLEEP"],
+    ["SLEEP", "DOCTOR"],
+    ["DOCTOR", "MAFIA"],
+    ["MAFIA", "EXECUTION"],
+    ["EXECUTION", "ANNOUNCEMENT"],
+    ["ANNOUNCEMENT", "DAY_DISCUSSION"],
+  ];
+
+  for (const [from, to] of cycle) {
+    ctx.clock.tick(timers[from] * 1000 - 1);
+    assert.equal(room.phase, from, `${from} ends only when its timer runs out`);
+
+    ctx.clock.tick(1);
+    assert.equal(room.phase, to);
+  }
+
+  assert.equal(room.round, 2);
+  assert.equal(room.players.filter((p) => p.alive).length, 6, "nobody acted, nobody died");
+
+  // Clients see the new phase with its end time from the clock
+  const state = await waitFor(setup.players[0], "room_state", (s) => s.round === 2);
+  assert.equal(state.phase, "DAY_DISCUSSION");
+  assert.equal(state.phaseEndsAt, ctx.clock.now() + timers.DAY_DISCUSSION * 1000);
+});
+
+test("early advance ends day voting once a majority decided", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6, { earlyAdvance: true });
+  const { room, playerOf } = await startGame(ctx, setup);
+
+  ctx.clock.tick(room.settings.timers.DAY_DISCUSSION * 1000);
+  assert.equal(room.phase, "DAY_VOTING");
+
+  const [target, ...voters] = setup.players;
+  const vote = (socket) => call(socket, "cast_vote", { roomCode: setup.roomCode, targetId: target.id });
+
+  // 3 of 6 is not a strict majority yet
+  for (const socket of voters.slice(0, 3)) assert.deepEqual(await vote(socket), { ok: true });
+  assert.equal(room.phase, "DAY_VOTING");
+
+  assert.deepEqual(await vote(voters[3]), { ok: true });
+  assert.equal(room.phase, "SLEEP");
+  assert.equal(playerOf(target).alive, false);
+});
+
+test("paused phases keep their remaining time", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const { room } = await startGame(ctx, setup);
+  const discussionMs = room.settings.timers.DAY_DISCUSSION * 1000;
+
+  ctx.clock.tick(discussionMs - 5000);
+  assert.deepEqual(await call(setup.host, "pause_game", { roomCode: setup.roomCode }), { ok: true });
+
+  ctx.clock.tick(61 * 60 * 1000);
+  assert.equal(room.phase, "DAY_DISCUSSION");
+  assert.equal(ctx.game.rooms.get(setup.roomCode), room);
+
+  await call(setup.host, "resume_game", { roomCode: setup.roomCode });
+  ctx.clock.tick(5000);
+  assert.equal(room.phase, "DAY_VOTING");
+});
+
+test("AFK only counts phases that ran their full timer", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 7, { earlyAdvance: true, afkModkillPhases: 1 });
+  const { room, playerOf } = await startGame(ctx, setup);
+  const [target, ...voters] = setup.players;
+  const modkills = () => room.log.filter((e) => /inactivity/.test(e.message || ""));
+
+  // Early advance after 4 of 7 votes: the others had no time to vote
+  ctx.clock.tick(room.settings.timers.DAY_DISCUSSION * 1000);
+  for (const socket of voters.slice(0, 4)) {
+    await call(socket, "cast_vote", { roomCode: setup.roomCode, targetId: target.id });
+  }
+  assert.equal(room.phase, "SLEEP");
+  assert.equal(playerOf(target).alive, false);
+
+  // Host skips the whole night
+  while (room.phase !== "DAY_DISCUSSION") {
+    assert.deepEqual(await call(setup.host, "skip_phase", {}), { ok: true });
+  }
+
+  assert.deepEqual(modkills(), []);
+  assert.equal(room.players.filter((p) => p.alive).length, 6);
+});
+
+test("AFK modkills come after the day vote is resolved", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 7, { afkModkillPhases: 1 });
+  const { room, playerOf } = await startGame(ctx, setup);
+  const [target, ...voters] = setup.players;
+  const results = () => room.log.filter((e) => e.type === "RESULT").map((e) => e.message);
+
+  ctx.clock.tick(room.settings.timers.DAY_DISCUSSION * 1000);
+  for (const socket of voters.slice(0, 4)) {
+    await call(socket, "cast_vote", { roomCode: setup.roomCode, targetId: target.id });
+  }
+  ctx.clock.tick(room.settings.timers.DAY_VOTING * 1000);
+
+  // The target is voted out, not modkilled; those who did not vote are
+  const { name } = playerOf(target);
+  assert.equal(results().some((m) => m.startsWith(`${name} was removed`)), false);
+  assert.equal(results().some((m) => m.includes(name)), true);
+  for (const socket of voters.slice(4)) {
+    const { name: afk, role } = playerOf(socket);
+    assert.ok(results().includes(`${afk} was removed for inactivity (modkill). Role: ${role}`));
+  }
+});
+
+test("an idle lobby closes even with a tab still connected", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 3);
+  ctx.clock.tick(61 * 60 * 1000);
+
+  assert.equal(ctx.game.rooms.has(setup.roomCode), false);
+  assert.equal((await waitFor(setup.players[0], "room_closed")).message, "Room closed after being idle.");
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mulberry32, seededRandom } = require("../lib/random");
+const { manualClock, scaledClock } = require("../lib/clock");
+const { startServer, call, waitFor, createRoom, startGame, tickTo } = require("./helpers");
+
+test("seeded generator repeats its sequence and keeps state on the holder", () => {
+  const a = { rngState: 42 };
+  const b = { rngState: 42 };
+  const randomA = seededRandom(a);
+  const randomB = seededRandom(b);
+
+  const first = [randomA(), randomA(), randomA()];
+  assert.deepEqual(first, [randomB(), randomB(), randomB()]);
+  assert.ok(first.every((v) => v >= 0 && v < 1));
+
+  // Resuming from saved state continues the same sequence
+  const saved = { rngState: 42 };
+  seededRandom(saved)();
+  const resumed = seededRandom({ rngState: saved.rngState });
+  assert.equal(resumed(), first[1]);
+
+  assert.notEqual(mulberry32(1).value, mulberry32(2).value);
+});
+
+test("the same room seed deals the same roles", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const deal = async (seed) => {
+    const setup = await createRoom(ctx, 8, { seed });
+    const { room } = await startGame(ctx, setup);
+    return { room, roles: room.players.map((p) => `${p.name}=${p.role}`) };
+  };
+
+  const first = await deal(1234);
+  const second = await deal(1234);
+  assert.deepEqual(first.roles, second.roles);
+  assert.equal(first.room.seed, 1234);
+
+  const start = first.room.log.find((e) => e.type === "GAME_START");
+  assert.equal(start.seed, 1234);
+  assert.match(start.text, /seed 1234/);
+});
+
+test("without a seed setting every game still gets a logged seed", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const { room } = await startGame(ctx, setup);
+
+  assert.ok(Number.isInteger(room.seed));
+  assert.equal(room.log.find((e) => e.type === "GAME_START").seed, room.seed);
+});
+
+test("scaled clock runs timers faster than its base clock", () => {
+  const base = manualClock(0);
+  const fast = scaledClock(10, base);
+  let fired = false;
+
+  fast.setTimeout(() => {
+    fired = true;
+  }, 1000);
+
+  base.tick(99);
+  assert.equal(fired, false);
+  base.tick(1);
+  assert.equal(fired, true);
+  assert.equal(fast.now(), 1000);
+});
+
+test("room_state never carries the seed, host_state does", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6, { seed: 777 });
+  await startGame(ctx, setup);
+  const [player] = setup.players;
+
+  await waitFor(player, "room_state", (s) => s.phase === "DAY_DISCUSSION");
+  const states = player.events.filter((e) => e.event === "room_state");
+  assert.ok(states.length > 0);
+  assert.ok(states.every((e) => !JSON.stringify(e.payload).includes('"seed"')));
+
+  const hs = await waitFor(setup.host, "host_state", (s) => s.seed === 777);
+  assert.equal(hs.settingsSeed, 777);
+});
+
+test("bot games with the same seed replay the same, timing included", async (t) => {
+  const play = async () => {
+    const ctx = await startServer();
+    t.after(() => ctx.close());
+
+    const setup = await createRoom(ctx, 0, { seed: 4321 });
+    for (let i = 0; i < 6; i++) await call(setup.host, "add_bot", {});
+    const { room } = await startGame(ctx, setup);
+    const start = ctx.clock.now();
+
+    tickTo(ctx, room, "ANNOUNCEMENT");
+    return room.log.map((e) => [Date.parse(e.time) - start, e.text]);
+  };
+
+  const first = await play();
+  assert.ok(first.some(([, text]) => /Bot/.test(text)));
+  assert.deepEqual(await play(), first);
+});
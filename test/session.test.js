@@ -0,0 +1,268 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { manualClock } = require("../lib/clock");
+const { startServer, call, waitFor, createRoom, startGame, tickTo } = require("./helpers");
+
+test("player restores their seat, role and vote with their token", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const game = await startGame(ctx, setup);
+  const { roomCode, players } = setup;
+  const [leaver, target] = players;
+  const seat = game.playerOf(leaver);
+
+  tickTo(ctx, game.room, "DAY_VOTING");
+  await call(leaver, "cast_vote", { roomCode, targetId: target.id });
+
+  leaver.disconnect();
+  await waitFor(setup.host, "room_state", (s) => s.players.some((p) => p.name === "P1" && !p.connected));
+
+  const back = await ctx.client();
+  const res = await call(back, "restore_session", { roomCode, token: leaver.token });
+  assert.equal(res.ok, true);
+  assert.equal(res.type, "PLAYER");
+
+  const snapshot = await waitFor(back, "session_snapshot");
+  assert.equal(snapshot.role, seat.role);
+  assert.equal(snapshot.choices.dayVote, "P2");
+
+  assert.equal(seat.id, back.id);
+  assert.equal(seat.connected, true);
+  assert.equal(game.room.dayVotes[back.id], target.id);
+});
+
+test("host restores host rights with the host token", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  await startGame(ctx, setup);
+  const { roomCode, hostToken } = setup;
+
+  setup.host.disconnect();
+  const back = await ctx.client();
+
+  const res = await call(back, "restore_session", { roomCode, token: hostToken });
+  assert.equal(res.type, "HOST");
+  assert.deepEqual(await call(back, "pause_game", { roomCode }), { ok: true });
+});
+
+test("restore rotates the token and drops the seat's old socket", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 3);
+  const { roomCode, players } = setup;
+  const [first] = players;
+
+  const second = await ctx.client();
+  const res = await call(second, "restore_session", { roomCode, token: first.token });
+  assert.equal(res.ok, true);
+  assert.notEqual(res.token, first.token);
+
+  await waitFor(first, "session_taken_over");
+  assert.deepEqual(await call(first, "public_chat", { roomCode, message: "hi" }), {
+    error: "Room not found.",
+  });
+
+  // Old token is gone, the new one restores
+  const third = await ctx.client();
+  assert.deepEqual(await call(third, "restore_session", { roomCode, token: first.token }), {
+    error: "Session not found.",
+  });
+  assert.equal((await call(third, "restore_session", { roomCode, token: res.token })).ok, true);
+});
+
+test("tokens expire a while after the seat disconnects", async (t) => {
+  const ctx = await startServer({ tokenTtlMs: 60 * 1000 });
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 3);
+  const { roomCode, players } = setup;
+  const [leaver] = players;
+
+  leaver.disconnect();
+  await waitFor(setup.host, "room_state", (s) => s.players.some((p) => p.name === "P1" && !p.connected));
+
+  ctx.clock.tick(2 * 60 * 1000);
+  const back = await ctx.client();
+  assert.deepEqual(await call(back, "restore_session", { roomCode, token: leaver.token }), {
+    error: "Session expired.",
+  });
+});
+
+test("handlers use the socket's own room, not the roomCode sent", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const a = await createRoom(ctx, 3);
+  const b = await createRoom(ctx, 3);
+
+  // Host of A cannot drive room B by sending its code
+  assert.deepEqual(await call(a.host, "close_room", { roomCode: b.roomCode }), { ok: true });
+  assert.ok(ctx.game.rooms.has(b.roomCode));
+  assert.ok(!ctx.game.rooms.has(a.roomCode));
+
+  const stranger = await ctx.client();
+  assert.deepEqual(await call(stranger, "start_game", { roomCode: b.roomCode }), {
+    error: "Room not found.",
+  });
+});
+
+test("restore_session rejects unknown rooms and tokens", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 3);
+  const socket = await ctx.client();
+
+  assert.deepEqual(await call(socket, "restore_session", { roomCode: "NOPE1", token: "x" }), {
+    error: "Room not found.",
+  });
+  assert.deepEqual(await call(socket, "restore_session", { roomCode: setup.roomCode, token: "" }), {
+    error: "Invalid token.",
+  });
+  assert.deepEqual(await call(socket, "restore_session", { roomCode: setup.roomCode, token: "x" }), {
+    error: "Session not found.",
+  });
+});
+
+test("rooms survive a server restart and resume the phase timer", async (t) => {
+  const first = await startServer();
+  const setup = await createRoom(first, 6);
+  const game = await startGame(first, setup);
+  const { roomCode } = setup;
+
+  const role = game.playerOf(setup.players[0]).role;
+  first.clock.tick(60 * 1000);
+  const endsAt = game.room.phaseEndsAt;
+  await first.close();
+
+  const second = await startServer({ store: first.store, clock: manualClock(first.clock.now()) });
+  t.after(() => second.close());
+
+  const room = second.game.rooms.get(roomCode);
+  assert.equal(room.phase, "DAY_DISCUSSION");
+  assert.equal(room.phaseEndsAt, endsAt);
+
+  const back = await second.client();
+  const res = await call(back, "restore_session", { roomCode, token: setup.players[0].token });
+  assert.equal(res.ok, true);
+  assert.equal((await waitFor(back, "session_snapshot")).role, role);
+
+  second.clock.tick(endsAt - second.clock.now());
+  assert.equal(room.phase, "DAY_VOTING");
+});
+
+test("a substitute keeps the seat's whispers and cannot take a dead seat", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6, { whispers: "PRIVATE" });
+  const game = await startGame(ctx, setup);
+  const { host, roomCode } = setup;
+  const [seat, victim] = game.withRole("TOWN");
+  const [friend] = setup.players.filter((s) => s !== seat && s !== victim);
+  const mafiaTeam = game.withRole("MAFIA");
+
+  assert.deepEqual(await call(friend, "whisper", { targetId: seat.id, message: "psst" }), { ok: true });
+
+  // New name, same seat: the whisper is still there
+  const { invite } = await call(host, "issue_substitute", { playerId: seat.id });
+  const sub = await ctx.client();
+  assert.equal((await call(sub, "join_as_substitute", { roomCode, invite, playerName: "Sub" })).ok, true);
+  const snapshot = await waitFor(sub, "session_snapshot");
+  assert.deepEqual(snapshot.chat.WHISPER.map((m) => m.message), ["psst"]);
+
+  // Invite issued while alive, seat killed before it is used
+  const late = await call(host, "issue_substitute", { playerId: victim.id });
+  tickTo(ctx, game.room, "MAFIA");
+  for (const mafia of mafiaTeam) {
+    await call(mafia, "role_action", { roomCode, targetId: victim.id });
+  }
+  tickTo(ctx, game.room, "ANNOUNCEMENT");
+  assert.equal(game.playerOf(victim).alive, false);
+
+  const other = await ctx.client();
+  assert.deepEqual(await call(other, "join_as_substitute", { roomCode, invite: late.invite }), {
+    error: "Player is already dead.",
+  });
+});
+
+test("closing the room drops spectator feeds still waiting for their delay", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6, { allowSpectators: true, spectatorDelay: 30 });
+  const game = await startGame(ctx, setup);
+  const { host, roomCode } = setup;
+
+  const spectator = await ctx.client();
+  assert.equal((await call(spectator, "join_room", { roomCode, playerName: "Watcher" })).spectator, true);
+  const feeds = () => spectator.events.filter((e) => e.event === "spectator_state").length;
+
+  ctx.clock.tick(30 * 1000);
+  await waitFor(spectator, "spectator_state");
+
+  const sent = feeds();
+  const [mafia] = game.withRole("MAFIA");
+  await call(mafia, "mafia_chat", { message: "tonight" });
+  assert.deepEqual(await call(host, "close_room", {}), { ok: true });
+  ctx.clock.tick(30 * 1000);
+
+  // Anything sent would arrive before the spectator's own reply
+  await call(spectator, "public_chat", { message: "hello" });
+  assert.equal(feeds(), sent);
+});
+
+test("restore saves the rotated token", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 3);
+  const { roomCode } = setup;
+  const saved = () => ctx.store.load().find((r) => r.roomCode === roomCode);
+
+  const player = await call(await ctx.client(), "restore_session", {
+    roomCode,
+    token: setup.players[0].token,
+  });
+  assert.ok(saved().players.some((p) => p.token === player.token));
+
+  const host = await call(await ctx.client(), "restore_session", { roomCode, token: setup.hostToken });
+  assert.equal(saved().hostToken, host.token);
+});
+
+test("with deadOmniscient spectators get graveyard chat only with their delay", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const settings = { allowSpectators: true, spectatorDelay: 30, deadOmniscient: true };
+  const setup = await createRoom(ctx, 6, settings);
+  const game = await startGame(ctx, setup);
+  const { roomCode } = setup;
+  const [victim] = game.withRole("TOWN");
+
+  const spectator = await ctx.client();
+  assert.equal((await call(spectator, "join_room", { roomCode, playerName: "Watcher" })).spectator, true);
+  assert.deepEqual((await waitFor(spectator, "session_snapshot")).chat.DEAD, []);
+
+  tickTo(ctx, game.room, "MAFIA");
+  for (const mafia of game.withRole("MAFIA")) {
+    await call(mafia, "role_action", { roomCode, targetId: victim.id });
+  }
+  tickTo(ctx, game.room, "ANNOUNCEMENT");
+  assert.equal(game.playerOf(victim).alive, false);
+
+  assert.deepEqual(await call(victim, "dead_chat", { message: "the doctor is P3" }), { ok: true });
+  assert.deepEqual(await call(spectator, "dead_chat", { message: "hi" }), {
+    error: "Spectators read graveyard chat with the spectator delay.",
+  });
+  assert.equal(spectator.events.some((e) => e.event === "dead_chat_message"), false);
+
+  ctx.clock.tick(30 * 1000);
+  const feed = await waitFor(spectator, "spectator_state", (f) => f.deadChat.length > 0);
+  assert.equal(feed.deadChat[0].message, "the doctor is P3");
+});
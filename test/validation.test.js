@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { cleanName, cleanMessage, checkRate } = require("../lib/validation");
+const { startServer, call, createRoom, startGame } = require("./helpers");
+
+test("cleanName trims, limits length and charset", () => {
+  assert.deepEqual(cleanName("  Ana   María ", "Player"), { value: "Ana María" });
+  assert.deepEqual(cleanName("", "Player"), { value: "Player" });
+  assert.deepEqual(cleanName("\u200b\u202e", "Player"), { error: "Name cannot be empty." });
+  assert.match(cleanName("x".repeat(21), "Player").error, /too long/);
+  assert.match(cleanName("<img src=x>", "Player").error, /only use letters/);
+  assert.deepEqual(cleanName("SYSTEM", "Player"), { error: "This name is reserved." });
+});
+
+test("cleanMessage strips control characters and limits length", () => {
+  assert.deepEqual(cleanMessage(" hi\u202e there\u0007 "), { value: "hi there" });
+  assert.deepEqual(cleanMessage("   "), { error: "Empty message." });
+  assert.match(cleanMessage("x".repeat(301)).error, /too long/);
+});
+
+test("checkRate allows a burst, then waits for the window", () => {
+  const state = {};
+  for (let i = 0; i < 5; i++) assert.equal(checkRate(state, "chat", 1000), null);
+
+  assert.match(checkRate(state, "chat", 1000), /too fast/);
+  assert.equal(checkRate(state, "action", 1000), null);
+  assert.equal(checkRate(state, "chat", 6000), null);
+});
+
+test("join_room rejects bad and duplicate names", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const { roomCode } = await createRoom(ctx, 1);
+  const socket = await ctx.client();
+  const join = (playerName) => call(socket, "join_room", { roomCode, playerName });
+
+  assert.match((await join("a".repeat(500))).error, /too long/);
+  assert.match((await join("<b>x</b>")).error, /only use letters/);
+  assert.deepEqual(await join("p1"), { error: "Name already taken in this room." });
+  assert.equal((await join("P2")).ok, true);
+});
+
+test("chat is length checked and rate limited per socket", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  await startGame(ctx, setup);
+  const [speaker, other] = setup.players;
+  const say = (socket, message) => call(socket, "public_chat", { roomCode: setup.roomCode, message });
+
+  assert.match((await say(speaker, "x".repeat(301))).error, /too long/);
+  for (let i = 0; i < 4; i++) assert.deepEqual(await say(speaker, `hello ${i}`), { ok: true });
+
+  assert.deepEqual(await say(speaker, "one more"), {
+    error: "You are sending messages too fast. Slow down.",
+  });
+  assert.deepEqual(await say(other, "still fine"), { ok: true });
+
+  ctx.clock.tick(5000);
+  assert.deepEqual(await say(speaker, "later"), { ok: true });
+});
@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { NO_LYNCH, tallyVotes, resolveVotes } = require("../lib/voting");
+const { startServer, call, createRoom, startGame } = require("./helpers");
+
+const all = () => true;
+
+test("tallyVotes weights ballots and sorts by count", () => {
+  const tally = tallyVotes({ a: "x", b: "y", c: "y", mayor: "x" }, all, all, (id) =>
+    id === "mayor" ? 2 : 1
+  );
+
+  assert.deepEqual(
+    tally.map((t) => [t.targetId, t.count]),
+    [
+      ["x", 3],
+      ["y", 2],
+    ]
+  );
+});
+
+test("tallyVotes skips invalid voters and targets", () => {
+  const isVoter = (id) => id !== "dead";
+  const isTarget = (id) => id !== "gone";
+
+  const tally = tallyVotes({ a: "x", dead: "x", b: "gone" }, isVoter, isTarget);
+  assert.deepEqual(tally, [{ targetId: "x", count: 1, voterIds: ["a"] }]);
+});
+
+test("resolveVotes applies each tie rule", () => {
+  const tie = [
+    { targetId: "x", count: 2 },
+    { targetId: "y", count: 2 },
+  ];
+
+  assert.equal(resolveVotes(tie, { rule: "NO_ELIMINATION", eligible: 4 }).outcome, "TIE");
+  assert.deepEqual(resolveVotes(tie, { rule: "RUNOFF", eligible: 4 }).tied, ["x", "y"]);
+  assert.equal(resolveVotes(tie, { rule: "MAJORITY", eligible: 4 }).outcome, "NO_MAJORITY");
+  assert.equal(resolveVotes(tie, { rule: "RANDOM", eligible: 4, random: () => 0.99 }).targetId, "y");
+
+  assert.equal(resolveVotes([], { rule: "NO_ELIMINATION", eligible: 4 }).outcome, "NO_VOTES");
+  assert.equal(
+    resolveVotes([{ targetId: NO_LYNCH, count: 3 }], { rule: "NO_ELIMINATION", eligible: 4 }).outcome,
+    "NO_LYNCH"
+  );
+  assert.equal(
+    resolveVotes([{ targetId: "x", count: 2 }], { rule: "MAJORITY", eligible: 4 }).outcome,
+    "NO_MAJORITY"
+  );
+});
+
+test("day vote eliminates the top target and reveals the role", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6);
+  const { room, playerOf } = await startGame(ctx, setup);
+  const { roomCode, players } = setup;
+
+  ctx.clock.tick(room.settings.timers.DAY_DISCUSSION * 1000);
+
+  const [target, other] = players;
+  await call(players[2], "cast_vote", { roomCode, targetId: target.id });
+  await call(players[3], "cast_vote", { roomCode, targetId: target.id });
+  await call(players[4], "cast_vote", { roomCode, targetId: other.id });
+
+  ctx.clock.tick(room.settings.timers.DAY_VOTING * 1000);
+
+  assert.equal(room.phase, "SLEEP");
+  assert.equal(playerOf(target).alive, false);
+  assert.equal(playerOf(other).alive, true);
+  assert.match(room.announcement, new RegExp(`P1 eliminated\\. Role: ${playerOf(target).role}`));
+});
+
+test("day vote tie eliminates nobody by default, RUNOFF revotes", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  for (const dayTieRule of ["NO_ELIMINATION", "RUNOFF"]) {
+    const setup = await createRoom(ctx, 6, { dayTieRule });
+    const { room } = await startGame(ctx, setup);
+    const { roomCode, players } = setup;
+
+    ctx.clock.tick(room.settings.timers.DAY_DISCUSSION * 1000);
+    await call(players[2], "cast_vote", { roomCode, targetId: players[0].id });
+    await call(players[3], "cast_vote", { roomCode, targetId: players[1].id });
+    ctx.clock.tick(room.settings.timers.DAY_VOTING * 1000);
+
+    assert.equal(room.players.filter((p) => p.alive).length, 6);
+
+    if (dayTieRule === "NO_ELIMINATION") {
+      assert.equal(room.phase, "SLEEP");
+      continue;
+    }
+
+    assert.equal(room.phase, "DAY_RUNOFF");
+    assert.deepEqual(room.runoffCandidates, [players[0].id, players[1].id]);
+    assert.deepEqual(await call(players[4], "cast_vote", { roomCode, targetId: players[5].id }), {
+      error: "Runoff: vote for a tied player.",
+    });
+  }
+});
+
+test("votes cannot be changed under the FINAL rule", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 6, { voteChange: "FINAL" });
+  const { room } = await startGame(ctx, setup);
+  const { roomCode, players } = setup;
+
+  ctx.clock.tick(room.settings.timers.DAY_DISCUSSION * 1000);
+
+  const vote = (target) => call(players[0], "cast_vote", { roomCode, targetId: target.id });
+
+  assert.deepEqual(await vote(players[1]), { ok: true });
+  assert.deepEqual(await vote(players[2]), { error: "Votes cannot be changed." });
+});
+
+test("MAJORITY counts vote weight: the Mayor's double vote is not a majority alone", async (t) => {
+  const ctx = await startServer();
+  t.after(() => ctx.close());
+
+  const setup = await createRoom(ctx, 7, { dayTieRule: "MAJORITY", extraRoles: { MAYOR: 1 } });
+  const { room, playerOf, withRole } = await startGame(ctx, setup);
+  const { roomCode, players } = setup;
+
+  // Mayor (2) + 2 others = 4 of 8 weight
+  const [mayor] = withRole("MAYOR");
+  const [target, ...rest] = players.filter((s) => s !== mayor);
+  ctx.clock.tick(room.settings.timers.DAY_DISCUSSION * 1000);
+  for (const voter of [mayor, rest[0], rest[1]]) {
+    assert.deepEqual(await call(voter, "cast_vote", { roomCode, targetId: target.id }), { ok: true });
+  }
+  ctx.clock.tick(room.settings.timers.DAY_VOTING * 1000);
+
+  assert.equal(playerOf(target).alive, true);
+
+  // One more vote makes 5 of 8
+  const next = await createRoom(ctx, 7, { dayTieRule: "MAJORITY", extraRoles: { MAYOR: 1 } });
+  const game = await startGame(ctx, next);
+  const [mayor2] = game.withRole("MAYOR");
+  const [target2, ...others] = next.players.filter((s) => s !== mayor2);
+  ctx.clock.tick(game.room.settings.timers.DAY_DISCUSSION * 1000);
+  for (const voter of [mayor2, ...others.slice(0, 3)]) {
+    await call(voter, "cast_vote", { roomCode: next.roomCode, targetId: target2.id });
+  }
+  ctx.clock.tick(game.room.settings.timers.DAY_VOTING * 1000);
+
+  assert.equal(game.playerOf(target2).alive, false);
+});